@@ -0,0 +1,214 @@
+/**
+ * Storage for logged in account sessions
+ * Each account keeps its own access token, API key and user data,
+ * and one of them is the active account used for API requests
+ */
+
+import { persistentStorage, readJSON, sessionOnlyStorage, writeJSON } from '../utils/storage.js';
+
+// Storage keys
+const ACCOUNTS_KEY = 'accounts';
+const ACTIVE_ACCOUNT_KEY = 'activeAccount';
+const API_KEYS_KEY = 'apiKeys';
+
+// Keys used before several accounts were supported
+const LEGACY_KEYS = ['authToken', 'apiKey', 'userData'];
+
+/**
+ * Account sessions spread over a persistent and a session-only storage backend
+ * Remembered accounts live in the persistent backend, the others only for the browser session
+ * @class AccountStore
+ *
+ * @example
+ * // In-memory store for tests
+ * const store = new AccountStore({ persistent: new MemoryStorage(), session: new MemoryStorage() });
+ */
+export class AccountStore {
+    /**
+     * @param {Object} backends - Storage backends
+     * @param {Object} backends.persistent - Backend for remembered accounts (default: localStorage)
+     * @param {Object} backends.session - Backend for session-only accounts (default: sessionStorage)
+     */
+    constructor({ persistent = persistentStorage, session = sessionOnlyStorage } = {}) {
+        this.persistent = persistent;
+        this.session = session;
+        this.migrateLegacySession();
+    }
+
+    /**
+     * Read every stored account session
+     * @returns {Object<string, Object>} Profile name to { accessToken, apiKey, user } map
+     */
+    readAccounts() {
+        return {
+            ...readJSON(this.persistent, ACCOUNTS_KEY, {}),
+            ...readJSON(this.session, ACCOUNTS_KEY, {})
+        };
+    }
+
+    /**
+     * Get the name of the active account
+     * @returns {string|null} Profile name or null
+     */
+    getActiveName() {
+        return this.session.getItem(ACTIVE_ACCOUNT_KEY) || this.persistent.getItem(ACTIVE_ACCOUNT_KEY);
+    }
+
+    /**
+     * Get the active account session
+     * @returns {Object|null} Account shaped { accessToken, apiKey, user } or null
+     */
+    getActiveAccount() {
+        const name = this.getActiveName();
+        return name ? this.readAccounts()[name] || null : null;
+    }
+
+    /**
+     * Store or update an account session
+     * @param {string} name - Profile name
+     * @param {Object} changes - Fields to merge into the account
+     * @param {Object} options - Save options
+     * @param {boolean} options.remember - Keep the account after the browser closes;
+     *     defaults to where the account is already stored, or true for new accounts
+     */
+    saveAccount(name, changes, { remember } = {}) {
+        const current = this.backendFor(name);
+        const target = remember === undefined
+            ? current || this.persistent
+            : remember ? this.persistent : this.session;
+
+        const existing = this.readAccounts()[name];
+        if (current && current !== target) {
+            this.deleteFrom(current, name);
+        }
+
+        const accounts = readJSON(target, ACCOUNTS_KEY, {});
+        accounts[name] = { ...existing, ...changes };
+        writeJSON(target, ACCOUNTS_KEY, accounts);
+    }
+
+    /**
+     * Remove an account session, deactivating it if it was active
+     * @param {string} name - Profile name
+     */
+    removeAccount(name) {
+        [this.persistent, this.session].forEach(backend => {
+            this.deleteFrom(backend, name);
+            if (backend.getItem(ACTIVE_ACCOUNT_KEY) === name) {
+                backend.removeItem(ACTIVE_ACCOUNT_KEY);
+            }
+        });
+    }
+
+    /**
+     * Make an account the one used for API requests
+     * The choice is remembered across browser sessions only for remembered accounts
+     * @param {string|null} name - Profile name, or null for no active account
+     */
+    setActiveAccount(name) {
+        if (!name) {
+            this.session.removeItem(ACTIVE_ACCOUNT_KEY);
+            this.persistent.removeItem(ACTIVE_ACCOUNT_KEY);
+            return;
+        }
+
+        this.session.setItem(ACTIVE_ACCOUNT_KEY, name);
+        if (this.backendFor(name) === this.persistent) {
+            this.persistent.setItem(ACTIVE_ACCOUNT_KEY, name);
+        } else {
+            this.persistent.removeItem(ACTIVE_ACCOUNT_KEY);
+        }
+    }
+
+    /**
+     * Get the API key kept for a user between logins
+     * @param {string} name - Profile name
+     * @returns {string|null} API key or null
+     */
+    getApiKey(name) {
+        return readJSON(this.session, API_KEYS_KEY, {})[name]
+            || readJSON(this.persistent, API_KEYS_KEY, {})[name]
+            || null;
+    }
+
+    /**
+     * Keep a user's API key for their next login
+     * @param {string} name - Profile name
+     * @param {string} key - API key
+     * @param {Object} options - Save options
+     * @param {boolean} options.remember - Keep the key after the browser closes
+     */
+    setApiKey(name, key, { remember = true } = {}) {
+        const backend = remember ? this.persistent : this.session;
+        const apiKeys = readJSON(backend, API_KEYS_KEY, {});
+        apiKeys[name] = key;
+        writeJSON(backend, API_KEYS_KEY, apiKeys);
+    }
+
+    /**
+     * Forget a user's API key, e.g. after the API rejected it
+     * @param {string} name - Profile name
+     */
+    removeApiKey(name) {
+        [this.persistent, this.session].forEach(backend => {
+            const apiKeys = readJSON(backend, API_KEYS_KEY, {});
+            delete apiKeys[name];
+            writeJSON(backend, API_KEYS_KEY, apiKeys);
+        });
+    }
+
+    /**
+     * Whether an account is kept after the browser closes
+     * Data of session-only accounts must not outlive the browser session either
+     * @param {string} name - Profile name
+     * @returns {boolean} True for remembered accounts
+     */
+    isRemembered(name) {
+        return this.backendFor(name) === this.persistent;
+    }
+
+    /**
+     * Find the backend an account is stored in
+     * @param {string} name - Profile name
+     * @returns {Object|null} Storage backend or null
+     */
+    backendFor(name) {
+        if (readJSON(this.session, ACCOUNTS_KEY, {})[name]) return this.session;
+        if (readJSON(this.persistent, ACCOUNTS_KEY, {})[name]) return this.persistent;
+        return null;
+    }
+
+    /**
+     * Delete an account from one backend
+     * @param {Object} backend - Storage backend
+     * @param {string} name - Profile name
+     */
+    deleteFrom(backend, name) {
+        const accounts = readJSON(backend, ACCOUNTS_KEY, {});
+        delete accounts[name];
+        writeJSON(backend, ACCOUNTS_KEY, accounts);
+    }
+
+    /**
+     * Move a session stored under the old single-account keys into the accounts map
+     */
+    migrateLegacySession() {
+        const storage = this.persistent;
+        if (LEGACY_KEYS.every(key => storage.getItem(key) === null)) return;
+
+        const token = storage.getItem('authToken');
+        const user = readJSON(storage, 'userData');
+
+        if (token && user?.name) {
+            const accounts = readJSON(storage, ACCOUNTS_KEY, {});
+            accounts[user.name] = { accessToken: token, apiKey: storage.getItem('apiKey'), user };
+            writeJSON(storage, ACCOUNTS_KEY, accounts);
+            storage.setItem(ACTIVE_ACCOUNT_KEY, user.name);
+        }
+
+        LEGACY_KEYS.forEach(key => storage.removeItem(key));
+    }
+}
+
+// Shared store used by the app
+export const accountStore = new AccountStore();
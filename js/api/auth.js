@@ -1,10 +1,28 @@
-import { API_CONFIG, buildApiUrl, getAuthHeaders } from './config.js';
+import { API_CONFIG, getAuthHeaders } from './config.js';
+import { ApiError, HttpClient, httpClient } from './http.js';
+import { accountStore } from './accounts.js';
+import { getTokenExpiry, isTokenExpired } from '../utils/jwt.js';
 
 /**
  * Authentication service for handling user registration, login, and API key management
+ * Several accounts can be logged in at once; requests use the active one
  * @class AuthService
  */
 export class AuthService {
+    /**
+     * @param {Object} options - Service options
+     * @param {AccountStore} options.store - Where account sessions are stored (default: shared store)
+     * @param {HttpClient} options.client - HTTP client (default: one sending the store's credentials)
+     */
+    constructor({ store = accountStore, client } = {}) {
+        client ??= store === accountStore
+            ? httpClient
+            : new HttpClient({ getHeaders: () => getAuthHeaders(store) });
+
+        this.store = store;
+        this.client = client;
+    }
+
     /**
      * Register a new user account
      * @param {Object} userData - User registration data
@@ -12,7 +30,7 @@ export class AuthService {
      * @param {string} userData.email - User's email (must be @noroff.no or @stud.noroff.no)
      * @param {string} userData.password - User's password (minimum 8 characters)
      * @returns {Promise<Object>} Registration response from API
-     * @throws {Error} Throws error if registration fails
+     * @throws {ApiError} Throws error if registration fails
      * 
      * @example
      * // Register a new user
@@ -25,121 +43,204 @@ export class AuthService {
      *     });
      *     console.log('Registration successful:', result);
      * } catch (error) {
-     *     console.error('Registration failed:', error.message);
+     *     console.error('Registration failed:', error.messages);
      * }
      */
     async register({ name, email, password }) {
-        try {
-            const response = await fetch(buildApiUrl(API_CONFIG.ENDPOINTS.REGISTER), {
-                method: 'POST',
-                headers: API_CONFIG.HEADERS,
-                body: JSON.stringify({ name, email, password })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Registration failed');
-            }
-
-            return data;
-        } catch (error) {
-            throw new Error(`Registration failed: ${error.message}`);
-        }
+        return this.client.post(API_CONFIG.ENDPOINTS.REGISTER, { name, email, password }, {
+            auth: false,
+            errorMessage: 'Registration failed'
+        });
     }
 
     /**
-     * Login user and store authentication tokens
+     * Login user, store the account session and make it active
+     * Other logged in accounts are kept
      * @param {Object} credentials - User login credentials
      * @param {string} credentials.email - User's email
      * @param {string} credentials.password - User's password
+     * @param {boolean} credentials.remember - Keep the session after the browser closes (default: true)
      * @returns {Promise<Object>} Login response with user data and token
-     * @throws {Error} Throws error if login fails
+     * @throws {ApiError} Throws error if login fails
      */
-    async login({ email, password }) {
-        try {
-            const response = await fetch(buildApiUrl(API_CONFIG.ENDPOINTS.LOGIN), {
-                method: 'POST',
-                headers: API_CONFIG.HEADERS,
-                body: JSON.stringify({ email, password })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Login failed');
+    async login({ email, password, remember = true }) {
+        const data = await this.client.post(API_CONFIG.ENDPOINTS.LOGIN, { email, password }, {
+            auth: false,
+            errorMessage: 'Login failed'
+        });
+
+        // Store the JWT token
+        if (data.data?.accessToken) {
+            const { name, accessToken } = data.data;
+            const previousAccount = this.getCurrentUser()?.name;
+            this.store.saveAccount(name, { accessToken, apiKey: this.getStoredApiKey(name), user: data.data }, { remember });
+            this.store.setActiveAccount(name);
+            
+            // Create an API key unless this user already has one
+            if (!this.getStoredApiKey(name)) {
+                try {
+                    await this.createApiKey({ remember });
+                } catch (error) {
+                    // Without an API key the session is unusable, so don't leave it half logged in
+                    this.store.removeAccount(name);
+                    if (previousAccount && previousAccount !== name) {
+                        this.store.setActiveAccount(previousAccount);
+                    }
+                    throw new ApiError(`Logged in, but no API key could be created: ${error.message}`, {
+                        status: error.status,
+                        errors: error.errors,
+                        endpoint: error.endpoint,
+                        method: error.method
+                    });
+                }
             }
-
-            // Store the JWT token
-            if (data.data?.accessToken) {
-                localStorage.setItem('authToken', data.data.accessToken);
-                localStorage.setItem('userData', JSON.stringify(data.data));
-                
-                // Create API key after successful login
-                await this.createApiKey();
-            }
-
-            return data;
-        } catch (error) {
-            throw new Error(`Login failed: ${error.message}`);
         }
+
+        return data;
     }
 
     /**
      * Create API key for authenticated requests
+     * @param {Object} options - Key options
+     * @param {boolean} options.remember - Keep the key after the browser closes (default: true)
      * @returns {Promise<void>}
      * @throws {Error} Throws error if API key creation fails
      */
-    async createApiKey() {
-        try {
-            const response = await fetch(buildApiUrl(API_CONFIG.ENDPOINTS.API_KEY), {
-                method: 'POST',
-                headers: getAuthHeaders()
-            });
-
-            const data = await response.json();
+    async createApiKey({ remember = true } = {}) {
+        const data = await this.client.post(API_CONFIG.ENDPOINTS.API_KEY, undefined, {
+            errorMessage: 'API key creation failed'
+        });
 
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'API key creation failed');
-            }
+        if (!data?.data?.key) {
+            throw new Error('API key missing from response');
+        }
 
-            // Store the API key
-            if (data.data?.key) {
-                localStorage.setItem('apiKey', data.data.key);
-            }
-        } catch (error) {
-            console.error('API key creation failed:', error.message);
-            // Don't throw here as this shouldn't break the login flow
+        // Store the API key on the active account and for this user's next login
+        const userName = this.getCurrentUser()?.name;
+        if (userName) {
+            this.store.saveAccount(userName, { apiKey: data.data.key });
+            this.store.setApiKey(userName, data.data.key, { remember });
         }
     }
 
     /**
-     * Logout user and clear stored data
+     * Get the API key stored for a user
+     * @param {string} userName - Profile name
+     * @returns {string|null} Stored API key or null
+     */
+    getStoredApiKey(userName) {
+        return this.store.getApiKey(userName);
+    }
+
+    /**
+     * Whether a user logged in with "Remember me"
+     * @param {string} userName - Profile name
+     * @returns {boolean} True if the account is kept after the browser closes
+     */
+    isRemembered(userName) {
+        return this.store.isRemembered(userName);
+    }
+
+    /**
+     * Forget the API key stored for a user, e.g. after the API rejected it
+     * @param {string} userName - Profile name
+     * @returns {void}
+     */
+    forgetApiKey(userName) {
+        this.store.removeApiKey(userName);
+    }
+
+    /**
+     * Logout the active account and remove its stored session
+     * Other logged in accounts are kept
      * @returns {void}
      */
     logout() {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('apiKey');
-        localStorage.removeItem('userData');
+        const userName = this.getCurrentUser()?.name;
+        if (userName) {
+            this.store.removeAccount(userName);
+        }
+        this.store.setActiveAccount(null);
+    }
+
+    /**
+     * Stop using the active account without logging it out, e.g. to add another account
+     * @returns {void}
+     */
+    deactivateAccount() {
+        this.store.setActiveAccount(null);
+    }
+
+    /**
+     * Make another logged in account the active one
+     * @param {string} name - Profile name of the account
+     * @returns {Object} User data of the account
+     * @throws {Error} Throws error if the account is not logged in
+     */
+    switchAccount(name) {
+        const account = this.store.readAccounts()[name];
+        if (!account) {
+            throw new Error(`${name} is not logged in`);
+        }
+
+        this.store.setActiveAccount(name);
+        return account.user;
+    }
+
+    /**
+     * List every logged in account
+     * @returns {Object[]} Accounts shaped { name, email, avatar, isActive, isExpired }
+     */
+    getAccounts() {
+        const activeName = this.getCurrentUser()?.name;
+
+        return Object.values(this.store.readAccounts()).map(({ accessToken, user }) => ({
+            name: user.name,
+            email: user.email,
+            avatar: user.avatar,
+            isActive: user.name === activeName,
+            isExpired: !accessToken || isTokenExpired(accessToken)
+        }));
     }
 
     /**
      * Check if user is currently authenticated
-     * @returns {boolean} True if user has valid authentication token
+     * @returns {boolean} True if the active account has an unexpired token and an API key
      */
     isAuthenticated() {
-        const token = localStorage.getItem('authToken');
-        const apiKey = localStorage.getItem('apiKey');
-        return !!(token && apiKey);
+        const account = this.store.getActiveAccount();
+        return !!(account?.accessToken && account?.apiKey) && !isTokenExpired(account.accessToken);
+    }
+
+    /**
+     * Get when the active account's token expires
+     * @returns {number|null} Expiry timestamp in milliseconds, or null if unknown
+     */
+    getSessionExpiry() {
+        const token = this.store.getActiveAccount()?.accessToken;
+        return token ? getTokenExpiry(token) : null;
     }
 
     /**
-     * Get current user data from localStorage
+     * Get the active account's user data
      * @returns {Object|null} User data object or null if not authenticated
      */
     getCurrentUser() {
-        const userData = localStorage.getItem('userData');
-        return userData ? JSON.parse(userData) : null;
+        return this.store.getActiveAccount()?.user || null;
+    }
+
+    /**
+     * Merge changes into the active account's cached user data
+     * @param {Object} changes - Updated user fields (e.g. bio, avatar, banner)
+     * @returns {Object|null} Updated user data or null if not authenticated
+     */
+    updateCurrentUser(changes) {
+        const userData = this.getCurrentUser();
+        if (!userData) return null;
+
+        const updated = { ...userData, ...changes };
+        this.store.saveAccount(userData.name, { user: updated });
+        return updated;
     }
 
     /**
@@ -151,4 +252,4 @@ export class AuthService {
         const noroffDomains = ['@noroff.no', '@stud.noroff.no'];
         return noroffDomains.some(domain => email.toLowerCase().endsWith(domain));
     }
-} 
\ No newline at end of file
+}
@@ -3,6 +3,8 @@
  * Contains base URLs, endpoints, and API configuration
  */
 
+import { accountStore } from './accounts.js';
+
 export const API_CONFIG = {
     BASE_URL: 'https://v2.api.noroff.dev',
     ENDPOINTS: {
@@ -26,12 +28,14 @@ export const API_CONFIG = {
 };
 
 /**
- * Get authorization headers including JWT token and API key
+ * Get authorization headers including JWT token and API key of the active account
+ * @param {AccountStore} store - Account store to read credentials from (default: shared store)
  * @returns {Object} Headers object with authorization
  */
-export function getAuthHeaders() {
-    const token = localStorage.getItem('authToken');
-    const apiKey = localStorage.getItem('apiKey');
+export function getAuthHeaders(store = accountStore) {
+    const account = store.getActiveAccount();
+    const token = account?.accessToken;
+    const apiKey = account?.apiKey;
     
     const headers = { ...API_CONFIG.HEADERS };
     
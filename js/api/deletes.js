@@ -0,0 +1,247 @@
+/**
+ * Post deletes that wait out an undo window before they are sent
+ */
+
+import { accountStore } from './accounts.js';
+import { persistentStorage, readJSON, writeJSON } from '../utils/storage.js';
+
+const PENDING_DELETES_KEY = 'pendingDeletes';
+
+// How long a delete can be undone
+export const UNDO_DELETE_MS = 6000;
+
+// How long after its undo window a delete stored by another tab is left to that tab
+const ADOPT_DELAY_MS = 10000;
+
+// How long a send that hasn't settled is assumed to still be running in another tab
+const STALE_SEND_MS = 60000;
+
+/**
+ * Deletes waiting for their undo window to run out
+ * Posts deleted together share one window and are sent together. Each delete is
+ * stored until it is sent or undone, so one whose tab was closed before it
+ * finished is sent again the next time the account is used. Tabs share the
+ * stored list, so each one changes it in place instead of overwriting it
+ * @class PendingDeletes
+ *
+ * @example
+ * const deletes = new PendingDeletes({ send: (entries, options) => sendAll(entries, options) });
+ * deletes.schedule([{ postId: 42, title: 'Hello' }]);
+ * deletes.cancel([42]); // true, the delete was never sent
+ * window.addEventListener('pagehide', () => deletes.flush({ keepalive: true }));
+ */
+export class PendingDeletes {
+    /**
+     * @param {Object} options - Dependencies
+     * @param {Function} options.send - Sends the deletes of one window; called with entries shaped
+     *     { postId, title, account } and { keepalive, isFlush }
+     * @param {Object} options.accounts - Account store for the active account (default: shared store)
+     * @param {Object} options.storage - Storage backend (default: localStorage)
+     * @param {number} options.delayMs - Undo window in milliseconds
+     */
+    constructor({ send, accounts = accountStore, storage = persistentStorage, delayMs = UNDO_DELETE_MS }) {
+        this.sendDeletes = send;
+        this.accounts = accounts;
+        this.storage = storage;
+        this.delayMs = delayMs;
+        this.timers = new Map();
+        this.sending = new Map();
+
+        // Windows picked up by resume() that another tab may still be running
+        this.adopted = new Set();
+
+        // Stored deletes are kept in memory, since has() runs for every rendered post
+        this.entries = [];
+        this.postIds = new Set();
+        this.load();
+    }
+
+    /**
+     * Start one undo window for some posts
+     * @param {Object[]} posts - Posts shaped { postId, title }; posts already waiting are skipped
+     */
+    schedule(posts) {
+        const batchId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const account = this.accounts.getActiveName();
+        const deleteAt = Date.now() + this.delayMs;
+
+        this.load();
+        const added = posts
+            .filter(({ postId }) => !this.has(postId))
+            .map(({ postId, title = '' }) => ({ postId: String(postId), title, account, batchId, deleteAt }));
+
+        if (added.length === 0) return;
+
+        this.update(stored => [...stored, ...added]);
+        this.startTimer(batchId, this.delayMs);
+    }
+
+    /**
+     * Undo deletes that haven't been sent
+     * @param {Array<number|string>} postIds - Post IDs
+     * @returns {boolean} True if every delete was cancelled, false if any was already sent
+     */
+    cancel(postIds) {
+        const keys = new Set(postIds.map(String));
+        const isCancelled = entry => keys.has(entry.postId) && this.timers.has(entry.batchId);
+        const cancelled = this.read().filter(isCancelled);
+
+        this.update(stored => stored.filter(entry => !isCancelled(entry)));
+
+        // A window left without posts has nothing to send
+        new Set(cancelled.map(entry => entry.batchId)).forEach((batchId) => {
+            if (!this.entries.some(entry => entry.batchId === batchId)) {
+                this.stopTimer(batchId);
+            }
+        });
+
+        return cancelled.length === keys.size;
+    }
+
+    /**
+     * @param {number|string} postId - Post ID
+     * @returns {boolean} True if the post is waiting to be deleted or being deleted
+     */
+    has(postId) {
+        return this.postIds.has(String(postId));
+    }
+
+    /**
+     * Send every waiting delete of the active account now and wait for the ones being sent,
+     * e.g. when the tab is closed or another account becomes active
+     * Windows adopted from other tabs are left to them, or to the next resume()
+     * @param {Object} options - Request options
+     * @param {boolean} options.keepalive - Let the requests finish after the page is closed
+     * @returns {Promise<void>}
+     */
+    async flush({ keepalive = false } = {}) {
+        const sending = [...this.sending.values()];
+
+        this.adopted.forEach(batchId => this.stopTimer(batchId));
+        const batchIds = [...this.timers.keys()];
+
+        // Deletes already being sent keep the session they started with, callers only wait for them
+        await Promise.all([
+            ...sending.map(promise => promise.catch(() => {})),
+            ...batchIds.map(batchId => this.send(batchId, { keepalive, isFlush: true }))
+        ]);
+    }
+
+    /**
+     * Pick up the active account's stored deletes that no tab is sending,
+     * e.g. ones left by a tab that was closed before they settled
+     * They are sent a little after their undo window, so a tab still running them goes first
+     */
+    resume() {
+        const account = this.accounts.getActiveName();
+        const now = Date.now();
+        const windows = new Map();
+
+        this.load();
+        this.entries
+            .filter(entry => entry.account === account && !this.timers.has(entry.batchId) && !this.sending.has(entry.batchId))
+            .filter(entry => !isBeingSent(entry, now))
+            .forEach(entry => windows.set(entry.batchId, entry.deleteAt));
+
+        windows.forEach((deleteAt, batchId) => {
+            this.adopted.add(batchId);
+            this.startTimer(batchId, Math.max(0, deleteAt + ADOPT_DELAY_MS - now));
+        });
+    }
+
+    /**
+     * @param {string} batchId - Undo window
+     * @param {number} delayMs - Time left in the undo window
+     */
+    startTimer(batchId, delayMs) {
+        this.timers.set(batchId, setTimeout(() => this.send(batchId), delayMs));
+    }
+
+    /**
+     * @param {string} batchId - Undo window
+     */
+    stopTimer(batchId) {
+        clearTimeout(this.timers.get(batchId));
+        this.timers.delete(batchId);
+        this.adopted.delete(batchId);
+    }
+
+    /**
+     * Send the deletes of one window and forget them once they have settled
+     * Deletes whose page closes before that stay stored and are sent again by resume()
+     * @param {string} batchId - Undo window
+     * @param {Object} options - Send options
+     * @param {boolean} options.keepalive - Let the requests finish after the page is closed
+     * @param {boolean} options.isFlush - Whether the deletes must go out before anything else happens
+     * @returns {Promise<void>}
+     */
+    async send(batchId, { keepalive = false, isFlush = false } = {}) {
+        const now = Date.now();
+        const entries = this.read().filter(entry => entry.batchId === batchId);
+
+        this.stopTimer(batchId);
+
+        // Undone, sent or being sent by another tab in the meantime
+        if (entries.length === 0 || entries.some(entry => isBeingSent(entry, now))) {
+            this.load();
+            return;
+        }
+
+        // Marked first, so no other tab picks them up while they are sent
+        this.update(stored => stored.map(entry => (entry.batchId === batchId ? { ...entry, sentAt: now } : entry)));
+
+        const sending = this.sendDeletes(entries, { keepalive, isFlush });
+        this.sending.set(batchId, sending);
+
+        try {
+            await sending;
+        } finally {
+            this.sending.delete(batchId);
+            this.update(stored => stored.filter(entry => entry.batchId !== batchId));
+        }
+    }
+
+    /**
+     * Read the stored deletes, shaped { postId, title, account, batchId, deleteAt, sentAt }
+     * @returns {Object[]} Stored deletes
+     */
+    read() {
+        // Deletes stored before windows were shared each had their own
+        return readJSON(this.storage, PENDING_DELETES_KEY, [])
+            .map(entry => ({ ...entry, batchId: entry.batchId ?? entry.postId }));
+    }
+
+    /**
+     * Refresh the in-memory copy of the stored deletes
+     */
+    load() {
+        this.remember(this.read());
+    }
+
+    /**
+     * Change the stored deletes, starting from what is stored now so other tabs' changes are kept
+     * @param {Function} change - Called with the stored deletes, returns the new list
+     */
+    update(change) {
+        const entries = change(this.read());
+        writeJSON(this.storage, PENDING_DELETES_KEY, entries);
+        this.remember(entries);
+    }
+
+    /**
+     * @param {Object[]} entries - Stored deletes
+     */
+    remember(entries) {
+        this.entries = entries;
+        this.postIds = new Set(entries.map(entry => entry.postId));
+    }
+}
+
+/**
+ * @param {Object} entry - Stored delete
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if some tab started sending the delete recently
+ */
+function isBeingSent(entry, now) {
+    return Boolean(entry.sentAt) && now - entry.sentAt < STALE_SEND_MS;
+}
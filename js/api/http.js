@@ -0,0 +1,416 @@
+import { API_CONFIG, buildApiUrl, getAuthHeaders } from './config.js';
+
+// Statuses worth retrying: rate limiting and temporary server failures
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Retry policy used unless a client or a call overrides it
+ * POST is left out because creating something twice is worse than failing once;
+ * PUTs that are not idempotent (reaction toggles, follow and unfollow) must pass retry: false
+ */
+export const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    methods: ['GET', 'PUT', 'DELETE']
+};
+
+/**
+ * Error thrown for any failed API request
+ * Carries the HTTP status, every error reported by the server and the endpoint
+ * @class ApiError
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {Object} details - Error details
+     * @param {number} details.status - HTTP status code (0 for network errors)
+     * @param {Object[]} details.errors - Errors array returned by the API
+     * @param {string} details.endpoint - API endpoint that was requested
+     * @param {string} details.method - HTTP method used
+     */
+    constructor(message, { status = 0, errors = [], endpoint = '', method = 'GET' } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.errors = errors;
+        this.endpoint = endpoint;
+        this.method = method;
+    }
+
+    /**
+     * All error messages reported by the server
+     * @returns {string[]} Error messages
+     */
+    get messages() {
+        const messages = this.errors.map(error => error.message).filter(Boolean);
+        return messages.length > 0 ? messages : [this.message];
+    }
+
+    /**
+     * Error messages keyed by the field they refer to
+     * @returns {Object<string, string>} Field name to message map
+     */
+    get fieldErrors() {
+        return this.errors.reduce((fields, error) => {
+            const field = error.path?.[0];
+            if (field && !fields[field]) {
+                fields[field] = error.message;
+            }
+            return fields;
+        }, {});
+    }
+
+    /**
+     * Whether the request never reached the server
+     * @returns {boolean} True for network failures
+     */
+    get isNetworkError() {
+        return this.status === 0;
+    }
+}
+
+/**
+ * HTTP client for the Noroff API
+ * Wraps fetch with JSON handling, auth headers, interceptors and typed errors
+ * @class HttpClient
+ *
+ * @example
+ * const client = new HttpClient();
+ * client.interceptors.response.use((result) => {
+ *     if (result.status === 401) console.warn('Unauthorized');
+ *     return result;
+ * });
+ * const { data } = await client.get('/social/posts', { params: { limit: 10 } });
+ *
+ * // Wait longer between retries for one call, or turn them off
+ * await client.get('/social/posts', { retry: { retries: 5, baseDelayMs: 1000 } });
+ * await client.put('/social/posts/1', changes, { retry: false });
+ */
+export class HttpClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {Function} options.getHeaders - Returns the headers for authenticated requests
+     * @param {Object} options.retry - Changes to DEFAULT_RETRY_POLICY for every request
+     */
+    constructor({ getHeaders = getAuthHeaders, retry = {} } = {}) {
+        this.getHeaders = getHeaders;
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...retry };
+        this.retryListeners = [];
+        this.interceptors = {
+            request: createInterceptorChain(),
+            response: createInterceptorChain()
+        };
+    }
+
+    /**
+     * Listen for retries, e.g. to tell the user the app is waiting
+     * @param {Function} listener - Called with { endpoint, method, status, attempt, delayMs }
+     * @returns {Function} Function that removes the listener
+     */
+    onRetry(listener) {
+        this.retryListeners.push(listener);
+        return () => {
+            const index = this.retryListeners.indexOf(listener);
+            if (index !== -1) this.retryListeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Send a request to the API
+     * @param {string} endpoint - API endpoint (e.g. /social/posts)
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method (default: GET)
+     * @param {Object} options.params - Query parameters
+     * @param {Object} options.body - JSON request body
+     * @param {boolean} options.auth - Whether to send auth headers (default: true)
+     * @param {Object} options.headers - Extra headers
+     * @param {string} options.errorMessage - Fallback message when the server gives none
+     * @param {AbortSignal} options.signal - Signal that cancels the request
+     * @param {boolean} options.keepalive - Let the request finish after the page is closed
+     * @param {Object|boolean} options.retry - Changes to the client's retry policy for this call,
+     *     or false to never retry. Statuses 429 and 5xx are retried with exponential backoff
+     *     and jitter, waiting as long as a Retry-After header asks when there is one
+     * @returns {Promise<Object|null>} Parsed JSON response, or null for empty responses
+     * @throws {ApiError} Throws error if the request fails
+     * @throws {DOMException} Throws an AbortError if the signal cancels the request
+     */
+    async request(endpoint, {
+        method = 'GET',
+        params = null,
+        body,
+        auth = true,
+        headers = {},
+        errorMessage = 'Request failed',
+        signal,
+        keepalive = false,
+        retry
+    } = {}) {
+        let config = {
+            endpoint,
+            method,
+            url: buildUrl(endpoint, params),
+            headers: { ...(auth ? this.getHeaders() : API_CONFIG.HEADERS), ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            errorMessage,
+            signal,
+            keepalive
+        };
+
+        config = await this.interceptors.request.run(config);
+
+        let networkError = null;
+        const send = async () => {
+            try {
+                const response = await fetch(config.url, {
+                    method: config.method,
+                    headers: config.headers,
+                    body: config.body,
+                    signal: config.signal,
+                    keepalive: config.keepalive
+                });
+                return { status: response.status, ok: response.ok, headers: response.headers, data: await parseBody(response) };
+            } catch (error) {
+                // A cancelled request is not a failure, so it skips the interceptors
+                if (error.name === 'AbortError') throw error;
+
+                // Network failures reach the response interceptors with status 0,
+                // so an interceptor can still answer them (e.g. from an offline cache)
+                networkError = error;
+                return { status: 0, ok: false, headers: new Headers(), data: null };
+            }
+        };
+
+        const policy = resolveRetryPolicy(this.retryPolicy, retry, config.method);
+        let result = await send();
+
+        for (let attempt = 1; policy && attempt <= policy.retries; attempt++) {
+            const delayMs = getRetryDelay(result, attempt, policy);
+            if (delayMs === null) break;
+
+            this.retryListeners.forEach(listener => listener({
+                endpoint,
+                method: config.method,
+                status: result.status,
+                attempt,
+                delayMs
+            }));
+
+            await sleep(delayMs, config.signal);
+            result = await send();
+        }
+
+        result = await this.interceptors.response.run(result, config);
+
+        if (result.status === 0) {
+            throw new ApiError(`${errorMessage}: ${networkError?.message || 'Network error'}`, { endpoint, method });
+        }
+
+        if (!result.ok) {
+            const errors = result.data?.errors || [];
+            throw new ApiError(errors[0]?.message || errorMessage, {
+                status: result.status,
+                errors,
+                endpoint,
+                method
+            });
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Send a GET request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options (see request)
+     * @returns {Promise<Object|null>} Parsed JSON response
+     */
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    }
+
+    /**
+     * Send a POST request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - JSON request body
+     * @param {Object} options - Request options (see request)
+     * @returns {Promise<Object|null>} Parsed JSON response
+     */
+    post(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body });
+    }
+
+    /**
+     * Send a PUT request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - JSON request body
+     * @param {Object} options - Request options (see request)
+     * @returns {Promise<Object|null>} Parsed JSON response
+     */
+    put(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PUT', body });
+    }
+
+    /**
+     * Send a DELETE request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options (see request)
+     * @returns {Promise<Object|null>} Parsed JSON response
+     */
+    delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+}
+
+/**
+ * Create an ordered list of interceptor functions
+ * @returns {Object} Interceptor chain with use() and run()
+ */
+function createInterceptorChain() {
+    const handlers = [];
+
+    return {
+        /**
+         * Register an interceptor
+         * @param {Function} handler - Receives the value and returns it (possibly modified)
+         * @returns {Function} Function that removes the interceptor
+         */
+        use(handler) {
+            handlers.push(handler);
+            return () => {
+                const index = handlers.indexOf(handler);
+                if (index !== -1) handlers.splice(index, 1);
+            };
+        },
+
+        /**
+         * Pass a value through every interceptor in order
+         * @param {*} value - Initial value
+         * @param {...*} args - Extra arguments handed to each interceptor
+         * @returns {Promise<*>} Final value
+         */
+        async run(value, ...args) {
+            let current = value;
+            for (const handler of handlers) {
+                current = (await handler(current, ...args)) ?? current;
+            }
+            return current;
+        }
+    };
+}
+
+/**
+ * Combine the client's retry policy with the options of one call
+ * @param {Object} defaults - Client retry policy
+ * @param {Object|boolean|undefined} retry - Call retry option
+ * @param {string} method - HTTP method of the call
+ * @returns {Object|null} Retry policy, or null if the call must not be retried
+ */
+function resolveRetryPolicy(defaults, retry, method) {
+    if (retry === false) return null;
+
+    const policy = { ...defaults, ...(typeof retry === 'object' ? retry : {}) };
+    return policy.methods.includes(method.toUpperCase()) ? policy : null;
+}
+
+/**
+ * Work out how long to wait before retrying a response
+ * @param {Object} result - Response result
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} Delay in milliseconds, or null if the response should not be retried
+ */
+function getRetryDelay(result, attempt, policy) {
+    if (!RETRYABLE_STATUSES.has(result.status)) return null;
+
+    // Don't keep the user waiting longer than the policy allows
+    const retryAfter = parseRetryAfter(result.headers?.get('Retry-After'));
+    if (retryAfter !== null) {
+        return retryAfter <= policy.maxDelayMs ? retryAfter : null;
+    }
+
+    // Exponential backoff with jitter, so clients that failed together don't retry together
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null without a valid header
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a delay, stopping early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Build a full URL with query parameters
+ * @param {string} endpoint - API endpoint
+ * @param {Object|null} params - Query parameters, empty values are skipped
+ * @returns {string} Complete URL
+ */
+function buildUrl(endpoint, params) {
+    const url = buildApiUrl(endpoint);
+    if (!params) return url;
+
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.append(key, String(value));
+        }
+    });
+
+    const queryString = query.toString();
+    return queryString ? `${url}?${queryString}` : url;
+}
+
+/**
+ * Parse a response body as JSON, tolerating empty bodies
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|null>} Parsed body or null
+ */
+async function parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// Shared client used by all services
+export const httpClient = new HttpClient();
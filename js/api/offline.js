@@ -0,0 +1,291 @@
+import { ApiError, httpClient } from './http.js';
+import { accountStore } from './accounts.js';
+import { PostsService } from './posts.js';
+import { IdbStore, STORES } from '../utils/idb.js';
+
+// Number of API responses kept for offline reading
+const MAX_CACHED_RESPONSES = 50;
+
+/**
+ * Offline read cache for API responses
+ * Successful authenticated GET responses are saved in IndexedDB per remembered account,
+ * and answer the same request when the network is unavailable
+ * @class OfflineCache
+ *
+ * @example
+ * const cache = new OfflineCache();
+ * const response = await postsService.getPosts(); // Served from the cache when offline
+ * if (response.fromCache) showAlert(`Showing posts saved ${formatDate(response.cachedAt)}`, 'warning');
+ */
+export class OfflineCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {HttpClient} options.client - HTTP client to cache responses of (default: shared client)
+     * @param {AccountStore} options.accounts - Store whose active account scopes the cache
+     * @param {IdbStore} options.store - Where responses are kept
+     */
+    constructor({ client = httpClient, accounts = accountStore, store = new IdbStore(STORES.RESPONSES) } = {}) {
+        this.accounts = accounts;
+        this.store = store;
+
+        client.interceptors.response.use((result, config) => this.handleResponse(result, config));
+    }
+
+    /**
+     * Save successful GET responses and answer failed ones from the cache
+     * @param {Object} result - Response result from the HTTP client
+     * @param {Object} config - Request config
+     * @returns {Promise<Object>} The result, or a cached result for network failures
+     */
+    async handleResponse(result, config) {
+        const account = this.accounts.getActiveName();
+        if (config.method !== 'GET' || !config.headers?.Authorization || !account) {
+            return result;
+        }
+
+        const key = `${account} ${config.url}`;
+
+        if (result.ok) {
+            // IndexedDB outlives the browser session, which session-only accounts must not.
+            // Caching must never hold up or break the response
+            if (this.accounts.isRemembered(account)) {
+                this.save(key, result.data).catch(() => {});
+            }
+            return result;
+        }
+
+        if (result.status === 0) {
+            const entry = await this.store.get(key).catch(() => undefined);
+            if (entry) {
+                return {
+                    ...result,
+                    status: 200,
+                    ok: true,
+                    data: { ...entry.data, fromCache: true, cachedAt: entry.savedAt }
+                };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Save a response and drop the oldest ones over the limit
+     * @param {string} key - Account and URL of the request
+     * @param {Object} data - Response data
+     * @returns {Promise<void>}
+     */
+    async save(key, data) {
+        await this.store.put({ key, data, savedAt: new Date().toISOString() }, key);
+
+        const entries = await this.store.getAll();
+        if (entries.length <= MAX_CACHED_RESPONSES) return;
+
+        const oldest = entries
+            .sort((a, b) => a.savedAt.localeCompare(b.savedAt))
+            .slice(0, entries.length - MAX_CACHED_RESPONSES);
+        await Promise.all(oldest.map(entry => this.store.delete(entry.key)));
+    }
+
+    /**
+     * Forget every response saved for an account, e.g. when it logs out
+     * @param {string} account - Profile name
+     * @returns {Promise<void>}
+     */
+    async clearAccount(account) {
+        const keys = await this.store.getAllKeys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(`${account} `))
+            .map(key => this.store.delete(key)));
+    }
+}
+
+/**
+ * Queue of post writes made while offline
+ * Entries are replayed in the order they were queued once the connection is back.
+ * A write the API rejects stays in the queue as 'rejected' until it is edited, retried or discarded
+ * @class Outbox
+ *
+ * @example
+ * const outbox = new Outbox();
+ * await outbox.queueCreate({ title: 'Hello', body: 'Written on a train' });
+ * window.addEventListener('online', () => outbox.replay());
+ */
+export class Outbox {
+    /**
+     * @param {Object} options - Outbox options
+     * @param {PostsService} options.postsService - Service used to replay writes
+     * @param {AccountStore} options.accounts - Store whose active account owns the entries
+     * @param {IdbStore} options.store - Where entries are kept
+     */
+    constructor({
+        postsService = new PostsService(),
+        accounts = accountStore,
+        store = new IdbStore(STORES.OUTBOX)
+    } = {}) {
+        this.postsService = postsService;
+        this.accounts = accounts;
+        this.store = store;
+        this.replaying = null;
+    }
+
+    /**
+     * Entries of an account, oldest first
+     * @param {string} account - Profile name (default: the active account)
+     * @returns {Promise<Object[]>} Entries shaped { id, type, postId, payload, title, status, error, queuedAt }
+     */
+    async list(account = this.accounts.getActiveName()) {
+        const entries = await this.store.getAll();
+        return entries.filter(entry => entry.account === account);
+    }
+
+    /**
+     * Queue a new post
+     * @param {Object} payload - Post data (see PostsService.createPost)
+     * @returns {Promise<void>}
+     */
+    async queueCreate(payload) {
+        await this.add({ type: 'create', postId: null, payload, title: payload.title });
+    }
+
+    /**
+     * Queue changes to a post, merged into earlier queued changes to it
+     * @param {number|string} postId - Post ID
+     * @param {Object} changes - Changed fields (see PostsService.updatePost)
+     * @param {string} title - Post title, shown while the changes are pending
+     * @returns {Promise<void>}
+     */
+    async queueUpdate(postId, changes, title = '') {
+        const entries = await this.list();
+        const existing = entries.find(entry => entry.type === 'update' && String(entry.postId) === String(postId));
+
+        if (existing) {
+            await this.updateEntry(existing.id, { ...existing.payload, ...changes });
+        } else {
+            await this.add({ type: 'update', postId, payload: changes, title: changes.title ?? title });
+        }
+    }
+
+    /**
+     * Queue deleting a post; queued changes to it are dropped
+     * @param {number|string} postId - Post ID
+     * @param {string} title - Post title, shown while the delete is pending
+     * @param {string} account - Account the delete belongs to, for deletes queued while
+     *     another account may be becoming active (default: the active account)
+     * @returns {Promise<void>}
+     */
+    async queueDelete(postId, title = '', account = this.accounts.getActiveName()) {
+        const entries = await this.list(account);
+        const updates = entries.filter(entry => entry.type === 'update' && String(entry.postId) === String(postId));
+        await Promise.all(updates.map(entry => this.store.delete(entry.id)));
+
+        if (!entries.some(entry => entry.type === 'delete' && String(entry.postId) === String(postId))) {
+            await this.add({ type: 'delete', postId, payload: null, title }, account);
+        }
+    }
+
+    /**
+     * Replace the post data of a queued create or update and queue it again
+     * @param {number} id - Entry ID
+     * @param {Object} payload - New post data, or the changed fields for updates
+     * @returns {Promise<void>}
+     */
+    async updateEntry(id, payload) {
+        const entry = await this.store.get(id);
+        if (!entry) return;
+
+        await this.store.put({ ...entry, payload, title: payload.title ?? entry.title, status: 'pending', error: null });
+    }
+
+    /**
+     * Queue a rejected entry again unchanged
+     * @param {number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    async retry(id) {
+        const entry = await this.store.get(id);
+        if (!entry) return;
+
+        await this.store.put({ ...entry, status: 'pending', error: null });
+    }
+
+    /**
+     * Drop an entry without sending it
+     * @param {number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    async discard(id) {
+        await this.store.delete(id);
+    }
+
+    /**
+     * Send the pending entries of the active account in order
+     * Stops at the first network failure so later writes never overtake earlier ones
+     * @returns {Promise<Object>} Counts shaped { sent, rejected }
+     */
+    replay() {
+        this.replaying ??= this.replayPending().finally(() => {
+            this.replaying = null;
+        });
+        return this.replaying;
+    }
+
+    /**
+     * @returns {Promise<Object>} Counts shaped { sent, rejected }
+     */
+    async replayPending() {
+        const counts = { sent: 0, rejected: 0 };
+
+        for (const entry of await this.list()) {
+            if (entry.status !== 'pending') continue;
+
+            try {
+                await this.send(entry);
+                await this.store.delete(entry.id);
+                counts.sent++;
+            } catch (error) {
+                if (error instanceof ApiError && error.isNetworkError) break;
+
+                await this.store.put({ ...entry, status: 'rejected', error: error.message });
+                counts.rejected++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Send one entry to the API
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<Object|null>} API response
+     * @throws {ApiError} Throws error if the request fails
+     */
+    send({ type, postId, payload }) {
+        switch (type) {
+            case 'create':
+                return this.postsService.createPost(payload);
+            case 'update':
+                return this.postsService.updatePost(postId, payload);
+            case 'delete':
+                return this.postsService.deletePost(postId);
+            default:
+                throw new Error(`Unknown outbox entry type: ${type}`);
+        }
+    }
+
+    /**
+     * Store a new pending entry
+     * @param {Object} entry - Entry fields
+     * @param {string} account - Profile name (default: the active account)
+     * @returns {Promise<void>}
+     */
+    async add(entry, account = this.accounts.getActiveName()) {
+        await this.store.put({
+            ...entry,
+            account,
+            status: 'pending',
+            error: null,
+            queuedAt: new Date().toISOString()
+        });
+    }
+}
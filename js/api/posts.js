@@ -1,9 +1,37 @@
-import { API_CONFIG, buildApiUrl, getAuthHeaders } from './config.js';
+import { API_CONFIG } from './config.js';
+import { httpClient } from './http.js';
+import { RequestCache } from '../utils/cache.js';
+
+// Related data included with every post
+const EXPAND_PARAMS = {
+    _author: true,
+    _comments: true,
+    _reactions: true
+};
+
+// Largest page the API returns
+const MAX_PAGE_SIZE = 100;
+
+// Requests sent at once by bulk operations
+const BULK_CONCURRENCY = 3;
+
+// Cache shared by every PostsService, so a write through one invalidates the others
+const sharedCache = new RequestCache();
 
 /**
  * Posts service for handling social media posts
+ * Post and list responses are cached and identical requests in flight are shared;
+ * writes invalidate the cached responses they affect
  */
 export class PostsService {
+    /**
+     * @param {Object} options - Service options
+     * @param {RequestCache} options.cache - Response cache (default: cache shared by all instances)
+     */
+    constructor({ cache = sharedCache } = {}) {
+        this.cache = cache;
+    }
+
     /**
      * Get all posts with optional query parameters
      * @param {Object} options - Query options
@@ -11,74 +39,159 @@ export class PostsService {
      * @param {number} options.page - Page number (default: 1)
      * @param {string} options.tag - Filter by tag
      * @param {string} options.search - Search in post content
+     * @param {string} options.author - Only posts by this profile name (can't be combined with search)
+     * @param {string} options.sort - Post field to sort by (e.g. created)
+     * @param {string} options.sortOrder - 'asc' or 'desc'
+     * @param {AbortSignal} options.signal - Signal that cancels the request
      * @returns {Promise<Object>} Posts data from API
-     * @throws {Error} Throws error if request fails
-     */
-    async getPosts({ limit = 12, page = 1, tag = '', search = '' } = {}) {
-        try {
-            const params = new URLSearchParams({
-                limit: limit.toString(),
-                page: page.toString(),
-                _author: 'true',
-                _comments: 'true',
-                _reactions: 'true'
-            });
+     * @throws {Error} Throws error if both author and search are given
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getPosts({ limit = 12, page = 1, tag = '', search = '', author = '', sort = '', sortOrder = '', signal } = {}) {
+        // The profile posts endpoint has no search, so the text would be silently ignored
+        if (author && search) {
+            throw new Error('Posts can be filtered by author or search, not both');
+        }
 
-            if (tag) params.append('_tag', tag);
+        const key = `posts:${JSON.stringify({ author, search, tag, sort, sortOrder, limit, page })}`;
+        return this.cache.get(key, (requestSignal) => this.fetchPosts({
+            limit, page, tag, search, author, sort, sortOrder, signal: requestSignal
+        }), {
+            meta: { type: 'list', author, tag },
+            signal
+        });
+    }
 
-            let url = `${buildApiUrl(API_CONFIG.ENDPOINTS.POSTS)}?${params.toString()}`;
+    /**
+     * Request a page of posts from the API, bypassing the cache
+     * @param {Object} options - Query options (see getPosts)
+     * @returns {Promise<Object>} Posts data from API
+     * @throws {ApiError} Throws error if request fails
+     */
+    async fetchPosts({ limit, page, tag, search, author, sort, sortOrder, signal }) {
+        const params = {
+            limit,
+            page,
+            sort,
+            sortOrder,
+            ...EXPAND_PARAMS,
+            _tag: tag
+        };
 
-            // If search is provided, use the search endpoint
-            if (search) {
-                url = `${buildApiUrl(API_CONFIG.ENDPOINTS.POSTS)}/search?q=${encodeURIComponent(search)}&${params.toString()}`;
-            }
+        // Author queries go through the profile posts endpoint
+        if (author) {
+            return httpClient.get(`${API_CONFIG.ENDPOINTS.PROFILES}/${encodeURIComponent(author)}/posts`, {
+                params,
+                errorMessage: 'Failed to fetch posts',
+                signal
+            });
+        }
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: getAuthHeaders()
+        // If search is provided, use the search endpoint
+        if (search) {
+            return httpClient.get(`${API_CONFIG.ENDPOINTS.POSTS}/search`, {
+                params: { q: search, ...params },
+                errorMessage: 'Failed to fetch posts',
+                signal
             });
+        }
 
-            const data = await response.json();
+        return httpClient.get(API_CONFIG.ENDPOINTS.POSTS, {
+            params,
+            errorMessage: 'Failed to fetch posts',
+            signal
+        });
+    }
 
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Failed to fetch posts');
-            }
+    /**
+     * Get posts written by a single profile
+     * The API can't search a profile's posts, so callers filter them by text themselves
+     * @param {string} author - Profile name
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Number of posts to fetch (default: 12)
+     * @param {number} options.page - Page number (default: 1)
+     * @param {string} options.tag - Filter by tag
+     * @param {string} options.sort - Post field to sort by (e.g. created)
+     * @param {string} options.sortOrder - 'asc' or 'desc'
+     * @param {AbortSignal} options.signal - Signal that cancels the request
+     * @returns {Promise<Object>} Posts data from API
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getPostsByAuthor(author, { limit = 12, page = 1, tag = '', sort = '', sortOrder = '', signal } = {}) {
+        return this.getPosts({ author, limit, page, tag, sort, sortOrder, signal });
+    }
+
+    /**
+     * Get every post written by a single profile, page by page
+     * @param {string} author - Profile name
+     * @param {Object} options - Query options
+     * @param {AbortSignal} options.signal - Signal that cancels the requests
+     * @returns {Promise<Object[]>} Posts, newest first
+     * @throws {ApiError} Throws error if a request fails
+     */
+    async getAllPostsByAuthor(author, { signal } = {}) {
+        const posts = [];
+
+        for (let page = 1; ; page++) {
+            const response = await this.getPostsByAuthor(author, { limit: MAX_PAGE_SIZE, page, signal });
+            const pagePosts = response.data || [];
+            posts.push(...pagePosts);
 
-            return data;
-        } catch (error) {
-            throw new Error(`Failed to fetch posts: ${error.message}`);
+            if (response.meta?.isLastPage ?? pagePosts.length < MAX_PAGE_SIZE) return posts;
         }
     }
 
+    /**
+     * Get posts from the profiles the logged in user follows
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Number of posts to fetch (default: 12)
+     * @param {number} options.page - Page number (default: 1)
+     * @param {string} options.tag - Filter by tag
+     * @param {string} options.sort - Post field to sort by (e.g. created)
+     * @param {string} options.sortOrder - 'asc' or 'desc'
+     * @param {AbortSignal} options.signal - Signal that cancels the request
+     * @returns {Promise<Object>} Posts data from API
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getFollowingPosts({ limit = 12, page = 1, tag = '', sort = '', sortOrder = '', signal } = {}) {
+        return httpClient.get(`${API_CONFIG.ENDPOINTS.POSTS}/following`, {
+            params: {
+                limit,
+                page,
+                sort,
+                sortOrder,
+                ...EXPAND_PARAMS,
+                _tag: tag
+            },
+            errorMessage: 'Failed to fetch posts',
+            signal
+        });
+    }
+
     /**
      * Get a single post by ID
      * @param {string} id - Post ID
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal that cancels the request
+     * @param {boolean} options.fresh - Skip the cached copy, e.g. to compare edits with the post as it is now
      * @returns {Promise<Object>} Single post data
-     * @throws {Error} Throws error if request fails
-     */
-    async getPostById(id) {
-        try {
-            const params = new URLSearchParams({
-                _author: 'true',
-                _comments: 'true',
-                _reactions: 'true'
-            });
-
-            const response = await fetch(`${buildApiUrl(API_CONFIG.ENDPOINTS.POSTS)}/${id}?${params.toString()}`, {
-                method: 'GET',
-                headers: getAuthHeaders()
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Failed to fetch post');
-            }
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getPostById(id, { signal, fresh = false } = {}) {
+        const key = `post:${id}`;
+        const meta = { type: 'post', postId: String(id) };
+        const fetchPost = (requestSignal) => httpClient.get(`${API_CONFIG.ENDPOINTS.POSTS}/${id}`, {
+            params: EXPAND_PARAMS,
+            errorMessage: 'Failed to fetch post',
+            signal: requestSignal
+        });
 
-            return data;
-        } catch (error) {
-            throw new Error(`Failed to fetch post: ${error.message}`);
+        // A fresh response still replaces the cached copy
+        if (fresh) {
+            return this.cache.fetch(key, fetchPost, meta, signal);
         }
+
+        return this.cache.get(key, fetchPost, { meta, signal });
     }
 
     /**
@@ -87,107 +200,157 @@ export class PostsService {
      * @param {string} postData.title - Post title
      * @param {string} postData.body - Post content
      * @param {string[]} postData.tags - Array of tags
-     * @param {string} postData.media - Media URL (optional)
+     * @param {Object|string} postData.media - Media shaped { url, alt }, or a bare URL (optional)
      * @returns {Promise<Object>} Created post data
-     * @throws {Error} Throws error if creation fails
-     */
-    async createPost({ title, body, tags = [], media = null }) {
-        try {
-            const postPayload = {
-                title: title.trim(),
-                body: body.trim(),
-                tags: tags.filter(tag => tag.trim().length > 0).map(tag => tag.trim())
-            };
-
-            if (media && media.trim()) {
-                postPayload.media = {
-                    url: media.trim(),
-                    alt: title || 'Post media'
-                };
-            }
+     * @throws {ApiError} Throws error if creation fails
+     */
+    async createPost(postData) {
+        const payload = buildPostPayload(postData);
+        const response = await httpClient.post(API_CONFIG.ENDPOINTS.POSTS, payload, {
+            errorMessage: 'Failed to create post'
+        });
 
-            const response = await fetch(buildApiUrl(API_CONFIG.ENDPOINTS.POSTS), {
-                method: 'POST',
-                headers: getAuthHeaders(),
-                body: JSON.stringify(postPayload)
-            });
+        this.invalidateListsFor(response?.data || payload);
+        return response;
+    }
 
-            const data = await response.json();
+    /**
+     * Update an existing post, sending only the fields that changed
+     * @param {string} id - Post ID
+     * @param {Object} changes - Changed fields; fields left out keep their value
+     * @param {string} changes.title - Post title
+     * @param {string} changes.body - Post content
+     * @param {string[]} changes.tags - Array of tags, empty to remove every tag
+     * @param {Object|string|null} changes.media - Media shaped { url, alt }, a bare URL, or null to remove it
+     * @returns {Promise<Object>} Updated post data
+     * @throws {ApiError} Throws error if update fails
+     */
+    async updatePost(id, changes) {
+        const payload = buildPostChanges(changes);
+        const response = await httpClient.put(`${API_CONFIG.ENDPOINTS.POSTS}/${id}`, payload, {
+            errorMessage: 'Failed to update post'
+        });
 
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Failed to create post');
-            }
+        // New tags can move the post into lists it wasn't part of
+        this.invalidatePost(id);
+        this.invalidateListsFor(response?.data || payload);
+        return response;
+    }
 
-            return data;
-        } catch (error) {
-            throw new Error(`Failed to create post: ${error.message}`);
-        }
+    /**
+     * Delete a post
+     * @param {string} id - Post ID to delete
+     * @param {Object} options - Request options
+     * @param {boolean} options.keepalive - Let the request finish after the page is closed
+     * @param {Object} options.headers - Headers to send instead of the active account's
+     * @returns {Promise<void>}
+     * @throws {ApiError} Throws error if deletion fails
+     */
+    async deletePost(id, { keepalive = false, headers } = {}) {
+        await httpClient.delete(`${API_CONFIG.ENDPOINTS.POSTS}/${id}`, {
+            errorMessage: 'Failed to delete post',
+            keepalive,
+            headers
+        });
+
+        this.invalidatePost(id);
     }
 
     /**
-     * Update an existing post
-     * @param {string} id - Post ID
-     * @param {Object} postData - Updated post data
-     * @param {string} postData.title - Post title
-     * @param {string} postData.body - Post content
-     * @param {string[]} postData.tags - Array of tags
-     * @param {string} postData.media - Media URL (optional)
-     * @returns {Promise<Object>} Updated post data
-     * @throws {Error} Throws error if update fails
-     */
-    async updatePost(id, { title, body, tags = [], media = null }) {
-        try {
-            const postPayload = {
-                title: title.trim(),
-                body: body.trim(),
-                tags: tags.filter(tag => tag.trim().length > 0).map(tag => tag.trim())
-            };
-
-            if (media && media.trim()) {
-                postPayload.media = {
-                    url: media.trim(),
-                    alt: title || 'Post media'
-                };
-            }
+     * Create several posts, one at a time so they are created in order
+     * @param {Object[]} posts - Post data (see createPost)
+     * @param {Object} options - Bulk options (see runBulk)
+     * @returns {Promise<Object>} Results shaped { succeeded: posts, failed: [{ item: post, error }] }
+     */
+    bulkCreate(posts, options = {}) {
+        return runBulk(posts, post => this.createPost(post), { concurrency: 1, ...options });
+    }
 
-            const response = await fetch(`${buildApiUrl(API_CONFIG.ENDPOINTS.POSTS)}/${id}`, {
-                method: 'PUT',
-                headers: getAuthHeaders(),
-                body: JSON.stringify(postPayload)
-            });
+    /**
+     * Delete several posts, a few at a time
+     * Every delete is sent as the account that was active when the first one started,
+     * even if another account becomes active before the last one is sent
+     * @param {Array<string|number>} ids - Post IDs to delete
+     * @param {Object} options - Bulk options (see runBulk)
+     * @param {boolean} options.keepalive - Let the requests finish after the page is closed
+     * @returns {Promise<Object>} Results shaped { succeeded: ids, failed: [{ item: id, error }] }
+     */
+    bulkDelete(ids, { keepalive = false, ...options } = {}) {
+        const headers = httpClient.getHeaders();
+        return runBulk(ids, id => this.deletePost(id, { keepalive, headers }), options);
+    }
 
-            const data = await response.json();
+    /**
+     * Add and remove tags on several posts, a few at a time
+     * @param {Object[]} posts - Posts with their current tags
+     * @param {Object} tagChanges - Tags to change
+     * @param {string[]} tagChanges.add - Tags to add
+     * @param {string[]} tagChanges.remove - Tags to remove
+     * @param {Object} options - Bulk options (see runBulk)
+     * @returns {Promise<Object>} Results shaped { succeeded: posts, failed: [{ item: post, error }] }
+     */
+    bulkUpdateTags(posts, { add = [], remove = [] }, options = {}) {
+        return runBulk(posts, (post) => {
+            const kept = (post.tags || []).filter(tag => !remove.includes(tag));
+            return this.updatePost(post.id, { tags: [...new Set([...kept, ...add])] });
+        }, options);
+    }
 
-            if (!response.ok) {
-                throw new Error(data.errors?.[0]?.message || 'Failed to update post');
-            }
+    /**
+     * Add a comment to a post
+     * @param {string|number} postId - Post ID to comment on
+     * @param {Object} commentData - Comment data
+     * @param {string} commentData.body - Comment text
+     * @param {number} commentData.replyToId - ID of the comment being replied to (optional)
+     * @returns {Promise<Object>} Created comment data
+     * @throws {ApiError} Throws error if the comment could not be created
+     */
+    async addComment(postId, { body, replyToId = null }) {
+        const commentPayload = { body: body.trim() };
 
-            return data;
-        } catch (error) {
-            throw new Error(`Failed to update post: ${error.message}`);
+        if (replyToId) {
+            commentPayload.replyToId = Number(replyToId);
         }
+
+        const response = await httpClient.post(`${API_CONFIG.ENDPOINTS.POSTS}/${postId}/comment`, commentPayload, {
+            errorMessage: 'Failed to add comment'
+        });
+
+        this.invalidatePost(postId);
+        return response;
     }
 
     /**
-     * Delete a post
-     * @param {string} id - Post ID to delete
+     * Delete a comment from a post
+     * @param {string|number} postId - Post ID the comment belongs to
+     * @param {string|number} commentId - Comment ID to delete
      * @returns {Promise<void>}
-     * @throws {Error} Throws error if deletion fails
+     * @throws {ApiError} Throws error if deletion fails
      */
-    async deletePost(id) {
-        try {
-            const response = await fetch(`${buildApiUrl(API_CONFIG.ENDPOINTS.POSTS)}/${id}`, {
-                method: 'DELETE',
-                headers: getAuthHeaders()
-            });
+    async deleteComment(postId, commentId) {
+        await httpClient.delete(`${API_CONFIG.ENDPOINTS.POSTS}/${postId}/comment/${commentId}`, {
+            errorMessage: 'Failed to delete comment'
+        });
 
-            if (!response.ok) {
-                const data = await response.json();
-                throw new Error(data.errors?.[0]?.message || 'Failed to delete post');
-            }
-        } catch (error) {
-            throw new Error(`Failed to delete post: ${error.message}`);
-        }
+        this.invalidatePost(postId);
+    }
+
+    /**
+     * Toggle the current user's reaction on a post
+     * @param {string|number} postId - Post ID to react to
+     * @param {string} symbol - Reaction emoji
+     * @returns {Promise<Object>} Updated reactions for the post
+     * @throws {ApiError} Throws error if the reaction could not be saved
+     */
+    async react(postId, symbol) {
+        // The PUT toggles the reaction, so retrying one the server applied before failing would undo it
+        const response = await httpClient.put(`${API_CONFIG.ENDPOINTS.POSTS}/${postId}/react/${encodeURIComponent(symbol)}`, undefined, {
+            errorMessage: 'Failed to react to post',
+            retry: false
+        });
+
+        this.invalidatePost(postId);
+        return response;
     }
 
     /**
@@ -196,10 +359,135 @@ export class PostsService {
      * @param {Object} options - Additional options
      * @param {number} options.limit - Number of posts to fetch
      * @param {number} options.page - Page number
+     * @param {AbortSignal} options.signal - Signal that cancels the request
      * @returns {Promise<Object>} Search results
-     * @throws {Error} Throws error if search fails
+     * @throws {ApiError} Throws error if search fails
+     */
+    async searchPosts(query, { limit = 12, page = 1, signal } = {}) {
+        return this.getPosts({ search: query, limit, page, signal });
+    }
+
+    /**
+     * Drop the cached post and every cached list containing it
+     * Lists still loading are dropped too, since they may contain it
+     * @param {string|number} id - Post ID
      */
-    async searchPosts(query, { limit = 12, page = 1 } = {}) {
-        return this.getPosts({ search: query, limit, page });
+    invalidatePost(id) {
+        const postId = String(id);
+        this.cache.invalidate((meta, response) => {
+            if (meta.type === 'post') return meta.postId === postId;
+            return !response || (response.data || []).some(post => String(post.id) === postId);
+        });
     }
-} 
\ No newline at end of file
+
+    /**
+     * Drop the cached lists a new or changed post may now belong to
+     * @param {Object} post - Post data, with tags and author when known
+     */
+    invalidateListsFor(post) {
+        const authorName = post.author?.name || post.owner;
+        this.cache.invalidate(meta => meta.type === 'list'
+            && (!meta.tag || (post.tags || []).includes(meta.tag))
+            && (!meta.author || !authorName || meta.author === authorName));
+    }
+
+    /**
+     * Forget every cached response, e.g. when another account becomes active
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+/**
+ * Run a request for every item with only a few in flight at once,
+ * collecting failures instead of stopping at the first one
+ * @param {Array} items - Items to process
+ * @param {Function} task - Called with an item, returns a promise
+ * @param {Object} options - Bulk options
+ * @param {number} options.concurrency - Requests in flight at once (default: 3)
+ * @param {Function} options.onProgress - Called with { done, total, failed } after each item
+ * @returns {Promise<Object>} Results shaped { succeeded: items, failed: [{ item, error }] }
+ */
+async function runBulk(items, task, { concurrency = BULK_CONCURRENCY, onProgress } = {}) {
+    const succeeded = [];
+    const failed = [];
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            try {
+                await task(item);
+                succeeded.push(item);
+            } catch (error) {
+                failed.push({ item, error });
+            }
+            onProgress?.({ done: succeeded.length + failed.length, total: items.length, failed: failed.length });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return { succeeded, failed };
+}
+
+/**
+ * Build the request payload for creating a post
+ * @param {Object} postData - Post data from the form
+ * @returns {Object} Payload accepted by the API
+ */
+function buildPostPayload({ title, body, tags = [], media = null }) {
+    const postPayload = {
+        title: title.trim(),
+        body: body.trim(),
+        tags: cleanTags(tags)
+    };
+
+    const postMedia = buildMedia(media, title);
+    if (postMedia) {
+        postPayload.media = postMedia;
+    }
+
+    return postPayload;
+}
+
+/**
+ * Build the request payload for the changed fields of a post
+ * @param {Object} changes - Changed fields from the form
+ * @returns {Object} Payload with only those fields, media is null when it was removed
+ */
+function buildPostChanges(changes) {
+    const payload = {};
+
+    if ('title' in changes) payload.title = changes.title.trim();
+    if ('body' in changes) payload.body = changes.body.trim();
+    if ('tags' in changes) payload.tags = cleanTags(changes.tags);
+    if ('media' in changes) payload.media = buildMedia(changes.media, changes.title);
+
+    return payload;
+}
+
+/**
+ * @param {string[]} tags - Tags as typed
+ * @returns {string[]} Trimmed tags without empty ones
+ */
+function cleanTags(tags) {
+    return tags.filter(tag => tag.trim().length > 0).map(tag => tag.trim());
+}
+
+/**
+ * Build the media object accepted by the API
+ * @param {Object|string|null} media - Media shaped { url, alt }, or a bare URL
+ *     (from posts queued before media had alt text)
+ * @param {string} title - Post title, the alt text fallback
+ * @returns {Object|null} Media shaped { url, alt }, or null without a URL
+ */
+function buildMedia(media, title = '') {
+    const { url = '', alt = '' } = typeof media === 'string' ? { url: media } : media || {};
+    if (!url.trim()) return null;
+
+    return {
+        url: url.trim(),
+        alt: alt.trim() || title.trim() || 'Post media'
+    };
+}
@@ -0,0 +1,120 @@
+import { API_CONFIG } from './config.js';
+import { httpClient } from './http.js';
+import { PostsService } from './posts.js';
+
+/**
+ * Profiles service for handling user profiles
+ */
+export class ProfilesService {
+    /**
+     * @param {Object} options - Service options
+     * @param {PostsService} options.postsService - Service used for profile posts
+     */
+    constructor({ postsService = new PostsService() } = {}) {
+        this.postsService = postsService;
+    }
+
+    /**
+     * Get a single profile by name
+     * @param {string} name - Profile name
+     * @param {Object} options - Query options
+     * @param {boolean} options.followers - Include the followers list (default: true)
+     * @param {boolean} options.following - Include the following list (default: true)
+     * @returns {Promise<Object>} Profile data
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getProfile(name, { followers = true, following = true } = {}) {
+        return httpClient.get(`${API_CONFIG.ENDPOINTS.PROFILES}/${encodeURIComponent(name)}`, {
+            params: {
+                _followers: followers,
+                _following: following
+            },
+            errorMessage: 'Failed to fetch profile'
+        });
+    }
+
+    /**
+     * Update a profile's bio, avatar and banner
+     * @param {string} name - Profile name (must be the logged in user)
+     * @param {Object} profileData - Fields to update
+     * @param {string} profileData.bio - Profile bio (optional)
+     * @param {Object} profileData.avatar - Avatar as { url, alt } (optional)
+     * @param {Object} profileData.banner - Banner as { url, alt } (optional)
+     * @returns {Promise<Object>} Updated profile data
+     * @throws {ApiError} Throws error if update fails
+     */
+    async updateProfile(name, { bio, avatar, banner }) {
+        const profilePayload = {};
+
+        if (bio !== undefined) profilePayload.bio = bio.trim();
+        if (avatar?.url) profilePayload.avatar = { url: avatar.url.trim(), alt: avatar.alt?.trim() || '' };
+        if (banner?.url) profilePayload.banner = { url: banner.url.trim(), alt: banner.alt?.trim() || '' };
+
+        return httpClient.put(`${API_CONFIG.ENDPOINTS.PROFILES}/${encodeURIComponent(name)}`, profilePayload, {
+            errorMessage: 'Failed to update profile'
+        });
+    }
+
+    /**
+     * Get the posts written by a profile
+     * @param {string} name - Profile name
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Number of posts to fetch (default: 12)
+     * @param {number} options.page - Page number (default: 1)
+     * @returns {Promise<Object>} Posts data from API
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getProfilePosts(name, { limit = 12, page = 1 } = {}) {
+        return this.postsService.getPostsByAuthor(name, { limit, page });
+    }
+
+    /**
+     * Follow a profile as the logged in user
+     * @param {string} name - Profile name to follow
+     * @returns {Promise<Object>} Updated followers and following lists
+     * @throws {ApiError} Throws error if request fails
+     */
+    async follow(name) {
+        // A retried follow the server already applied fails with "already following"
+        return httpClient.put(`${API_CONFIG.ENDPOINTS.PROFILES}/${encodeURIComponent(name)}/follow`, undefined, {
+            errorMessage: 'Failed to follow profile',
+            retry: false
+        });
+    }
+
+    /**
+     * Unfollow a profile as the logged in user
+     * @param {string} name - Profile name to unfollow
+     * @returns {Promise<Object>} Updated followers and following lists
+     * @throws {ApiError} Throws error if request fails
+     */
+    async unfollow(name) {
+        // Like follow(), a retry after the server applied it would fail
+        return httpClient.put(`${API_CONFIG.ENDPOINTS.PROFILES}/${encodeURIComponent(name)}/unfollow`, undefined, {
+            errorMessage: 'Failed to unfollow profile',
+            retry: false
+        });
+    }
+
+    /**
+     * Get the profiles following a profile
+     * @param {string} name - Profile name
+     * @returns {Promise<Object[]>} Follower profiles
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getFollowers(name) {
+        const response = await this.getProfile(name, { followers: true, following: false });
+        return response.data?.followers || [];
+    }
+
+    /**
+     * Get the profiles a profile is following
+     * @param {string} name - Profile name
+     * @returns {Promise<Object[]>} Followed profiles
+     * @throws {ApiError} Throws error if request fails
+     */
+    async getFollowing(name) {
+        const response = await this.getProfile(name, { followers: false, following: true });
+        return response.data?.following || [];
+    }
+}
@@ -0,0 +1,114 @@
+import { httpClient } from './http.js';
+
+// Warn this long before the token expires
+const DEFAULT_WARNING_MS = 5 * 60 * 1000;
+
+/**
+ * Session manager watching token expiry and unauthorized responses
+ * @class SessionManager
+ *
+ * @example
+ * const session = new SessionManager(authService, {
+ *     onExpiring: (msLeft) => showAlert(`Session ends in ${Math.round(msLeft / 60000)} min`, 'warning'),
+ *     onExpired: (reason) => logoutAndRedirect(reason)
+ * });
+ * session.start();
+ */
+export class SessionManager {
+    /**
+     * @param {AuthService} authService - Auth service holding the session
+     * @param {Object} options - Session options
+     * @param {Function} options.onExpiring - Called with the milliseconds left before expiry
+     * @param {Function} options.onExpired - Called with 'expired' or 'unauthorized'
+     * @param {number} options.warningMs - How early to warn before expiry (default: 5 minutes)
+     */
+    constructor(authService, { onExpiring = () => {}, onExpired = () => {}, warningMs = DEFAULT_WARNING_MS } = {}) {
+        this.authService = authService;
+        this.onExpiring = onExpiring;
+        this.onExpired = onExpired;
+        this.warningMs = warningMs;
+        this.timers = [];
+        this.isActive = false;
+
+        httpClient.interceptors.response.use((result, config) => {
+            this.handleResponse(result, config);
+            return result;
+        });
+    }
+
+    /**
+     * Start watching the current session
+     */
+    start() {
+        this.stop();
+        this.isActive = true;
+
+        const expiry = this.authService.getSessionExpiry();
+        if (expiry === null) return;
+
+        const msLeft = expiry - Date.now();
+        if (msLeft <= 0) {
+            this.expire('expired');
+            return;
+        }
+
+        if (msLeft > this.warningMs) {
+            this.schedule(() => this.onExpiring(this.warningMs), msLeft - this.warningMs);
+        } else {
+            this.onExpiring(msLeft);
+        }
+
+        this.schedule(() => this.expire('expired'), msLeft);
+    }
+
+    /**
+     * Stop watching the session, e.g. after logging out
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.isActive = false;
+    }
+
+    /**
+     * End the session once and notify the app
+     * @param {string} reason - 'expired' or 'unauthorized'
+     */
+    expire(reason) {
+        if (!this.isActive) return;
+
+        this.stop();
+        this.onExpired(reason);
+    }
+
+    /**
+     * End the session when an authenticated request comes back 401
+     * @param {Object} result - Response result from the HTTP client
+     * @param {Object} config - Request config
+     */
+    handleResponse(result, config) {
+        if (result.status !== 401 || !config.headers?.Authorization) return;
+
+        // A rejected API key must not be reused on the next login
+        const message = result.data?.errors?.[0]?.message || '';
+        if (/api key/i.test(message)) {
+            const userName = this.authService.getCurrentUser()?.name;
+            if (userName) this.authService.forgetApiKey(userName);
+        }
+
+        this.expire('unauthorized');
+    }
+
+    /**
+     * Run a callback after a delay, tracked so stop() can cancel it
+     * @param {Function} callback - Callback to run
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedule(callback, delay) {
+        // setTimeout cannot wait longer than about 24.8 days
+        const maxDelay = 2 ** 31 - 1;
+        if (delay > maxDelay) return;
+
+        this.timers.push(setTimeout(callback, delay));
+    }
+}
@@ -1,16 +1,103 @@
 import { AuthService } from './api/auth.js';
+import { httpClient } from './api/http.js';
 import { PostsService } from './api/posts.js';
+import { ProfilesService } from './api/profiles.js';
+import { SessionManager } from './api/session.js';
+import { OfflineCache, Outbox } from './api/offline.js';
+import { PendingDeletes, UNDO_DELETE_MS } from './api/deletes.js';
 import { 
     showAlert, 
     showLoading, 
     togglePageVisibility, 
     toggleAuthForms,
+    showMainView,
+    updateNavUser,
+    toggleOfflineBadge,
     clearForm,
     validateInput,
     formatDate,
     truncateText,
     debounce
 } from './utils/ui.js';
+import { attrs, html, safeUrl } from './utils/html.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { createReactionBarHTML, toggleReaction } from './utils/reactions.js';
+import { DraftStore } from './utils/drafts.js';
+import { exportPosts } from './utils/export.js';
+import { parsePostsExport, planImport } from './utils/import.js';
+import { BIO_MAX_LENGTH, checkImageUrl, isValidBio, isValidHttpUrl } from './utils/validation.js';
+import { Router, buildPath } from './utils/router.js';
+
+// Number of posts requested per feed page
+const FEED_PAGE_SIZE = 12;
+
+// Empty feed hints per filter
+const EMPTY_FEED_MESSAGES = {
+    '': 'Be the first to create a post!',
+    my: "You haven't written any posts yet.",
+    following: 'Follow other people to see their posts here.',
+    search: 'No posts match your search. Try fewer filters.'
+};
+
+// Feed query fields and the URL parameters they are kept in
+const FEED_QUERY_PARAMS = {
+    search: 'q',
+    filter: 'filter',
+    tag: 'tag',
+    author: 'author',
+    from: 'from',
+    to: 'to',
+    media: 'media',
+    sort: 'sort'
+};
+
+// Sort options: API sort parameters where the API supports them, a comparison otherwise
+const SORT_OPTIONS = {
+    '': { sort: 'created', sortOrder: 'desc' },
+    oldest: { sort: 'created', sortOrder: 'asc' },
+    reactions: { compare: (a, b) => countReactions(b) - countReactions(a) },
+    comments: { compare: (a, b) => countComments(b) - countComments(a) }
+};
+
+// Pages in a row that are loaded automatically when none of their posts match the search
+const MAX_SKIPPED_PAGES = 5;
+
+// Number of tags shown in the trending tags sidebar
+const TRENDING_TAG_LIMIT = 12;
+
+// Composer toolbar formats: text wrapped around the selection, or a prefix for each selected line
+const MARKDOWN_FORMATS = {
+    bold: { before: '**', after: '**', placeholder: 'bold text' },
+    italic: { before: '*', after: '*', placeholder: 'italic text' },
+    code: { before: '`', after: '`', placeholder: 'code' },
+    link: { before: '[', after: '](https://)', placeholder: 'link text' },
+    bullets: { prefix: '- ' },
+    numbers: { prefix: '1. ' }
+};
+
+// Post fields as named in the list of changes
+const POST_FIELD_LABELS = {
+    title: 'Title',
+    body: 'Content',
+    tags: 'Tags',
+    media: 'Media'
+};
+
+// Import statuses as badge class and label
+const IMPORT_STATUS_LABELS = {
+    create: ['bg-primary', 'Will be created'],
+    duplicate: ['bg-secondary', 'Duplicate, skipped'],
+    invalid: ['bg-warning text-dark', 'Invalid, skipped'],
+    created: ['bg-success', 'Created'],
+    failed: ['bg-danger', 'Failed']
+};
+
+// Outbox entry descriptions per write type
+const OUTBOX_LABELS = {
+    create: 'New post',
+    update: 'Edit',
+    delete: 'Delete'
+};
 
 /**
  * Main Application Class
@@ -20,9 +107,46 @@ class SocialMediaApp {
     constructor() {
         this.authService = new AuthService();
         this.postsService = new PostsService();
+        this.profilesService = new ProfilesService({ postsService: this.postsService });
+        this.offlineCache = new OfflineCache();
+        this.outbox = new Outbox({ postsService: this.postsService });
+        this.drafts = new DraftStore({ isRemembered: name => this.authService.isRemembered(name) });
+        this.outboxEntries = [];
+        this.manage = { posts: [], selected: new Set(), isRunning: false };
+        this.importPlan = [];
+        this.deletes = new PendingDeletes({ send: (entries, options) => this.sendDeletes(entries, options) });
+        this.editingOutboxId = null;
         this.currentUser = null;
         this.currentPostId = null;
         this.isEditMode = false;
+        this.composerPost = null;
+        this.originalPost = null;
+        this.reviewedChanges = null;
+        this.currentDraftId = null;
+        this.currentDetailPost = null;
+        this.replyToCommentId = null;
+        this.postsById = new Map();
+        this.pendingReactions = new Set();
+        this.currentProfileName = null;
+        this.followingNames = new Set();
+        this.feedQuery = parseFeedQuery();
+        this.feed = {
+            requestId: 0,
+            page: 0,
+            isLastPage: false,
+            isLoading: false,
+            postIds: new Set(),
+            posts: [],
+            skippedPages: 0,
+            controller: new AbortController()
+        };
+        this.lastFeedPath = '/feed';
+        this.retryNoticeUntil = 0;
+        this.router = new Router({ isAuthenticated: () => this.authService.isAuthenticated() });
+        this.session = new SessionManager(this.authService, {
+            onExpiring: (msLeft) => this.handleSessionExpiring(msLeft),
+            onExpired: (reason) => this.handleSessionExpired(reason)
+        });
         
         this.init();
     }
@@ -33,11 +157,96 @@ class SocialMediaApp {
     init() {
         this.checkAuthStatus();
         this.attachEventListeners();
+        this.observeFeedEnd();
+        this.registerRoutes();
+        this.registerServiceWorker();
+        this.watchConnection();
+        httpClient.onRetry((retry) => this.handleRetry(retry));
+        
+        // Deletes still inside their undo window are sent when the tab closes
+        window.addEventListener('pagehide', () => this.deletes.flush({ keepalive: true }));
         
-        // Load posts if authenticated
         if (this.authService.isAuthenticated()) {
-            this.loadPosts();
+            this.session.start();
+            this.loadFollowing();
+            this.syncOutbox();
+            this.deletes.resume();
+        }
+        
+        // Show the page the URL points to
+        this.router.start();
+    }
+    
+    /**
+     * Register the hash routes of the app
+     */
+    registerRoutes() {
+        this.router
+            .add('/login', () => this.showAuthPage(true), { guestOnly: true })
+            .add('/register', () => this.showAuthPage(false), { guestOnly: true })
+            .add('/feed', ({ query, path }) => this.showFeed(query, path), { requiresAuth: true })
+            .add('/posts/:id', ({ params }) => {
+                togglePageVisibility(false);
+                this.showPostDetail(params.id);
+            }, { requiresAuth: true })
+            .add('/profiles/:name', ({ params }) => {
+                togglePageVisibility(false);
+                this.showProfile(params.name);
+            }, { requiresAuth: true })
+            .add('/manage', () => {
+                togglePageVisibility(false);
+                this.showManagePosts();
+            }, { requiresAuth: true });
+    }
+    
+    /**
+     * Show the login or register form
+     * @param {boolean} showLogin - Whether to show the login form or register form
+     */
+    showAuthPage(showLogin) {
+        togglePageVisibility(true);
+        toggleAuthForms(showLogin);
+        this.updateAccountUI();
+    }
+    
+    /**
+     * Show the feed for the query in the URL
+     * Posts already loaded for the same query are kept, so going back keeps the feed
+     * @param {Object} query - Route query (see FEED_QUERY_PARAMS)
+     * @param {string} path - Full route path
+     */
+    showFeed(query, path) {
+        const feedQuery = parseFeedQuery(query);
+        
+        togglePageVisibility(false);
+        showMainView('feedView');
+        this.lastFeedPath = path;
+        
+        document.getElementById('searchInput').value = feedQuery.search;
+        document.getElementById('filterSelect').value = feedQuery.filter;
+        this.renderTagFilter(feedQuery.tag);
+        this.fillAdvancedSearch(feedQuery);
+        
+        const isSameQuery = Object.keys(feedQuery).every(key => feedQuery[key] === this.feedQuery[key]);
+        if (isSameQuery && this.feed.page > 0) {
+            return;
         }
+        
+        this.loadPosts(feedQuery);
+    }
+    
+    /**
+     * Navigate to the feed with changes to the current feed query
+     * @param {Object} changes - Query changes (see FEED_QUERY_PARAMS)
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry
+     */
+    navigateToFeed(changes, { replace = false } = {}) {
+        const feedQuery = { ...this.feedQuery, ...changes };
+        const query = Object.fromEntries(Object.entries(FEED_QUERY_PARAMS)
+            .map(([key, param]) => [param, feedQuery[key]]));
+        
+        this.router.navigate(buildPath('/feed', query), { replace });
     }
     
     /**
@@ -46,8 +255,19 @@ class SocialMediaApp {
     checkAuthStatus() {
         if (this.authService.isAuthenticated()) {
             this.currentUser = this.authService.getCurrentUser();
+            this.updateAccountUI();
             togglePageVisibility(false); // Show main app
         } else {
+            // Clear a stored session whose token has expired or whose API key is gone
+            const user = this.authService.getCurrentUser();
+            if (user) {
+                // Logging in again creates a new API key
+                const message = this.authService.getStoredApiKey(user.name)
+                    ? 'Your session has expired. Please log in again.'
+                    : 'Your API key is missing. Please log in again to create a new one.';
+                this.authService.logout();
+                showAlert(message, 'warning');
+            }
             togglePageVisibility(true); // Show auth page
         }
     }
@@ -56,17 +276,6 @@ class SocialMediaApp {
      * Attach event listeners to UI elements
      */
     attachEventListeners() {
-        // Auth form toggles
-        document.getElementById('showRegister')?.addEventListener('click', (e) => {
-            e.preventDefault();
-            toggleAuthForms(false);
-        });
-        
-        document.getElementById('showLogin')?.addEventListener('click', (e) => {
-            e.preventDefault();
-            toggleAuthForms(true);
-        });
-        
         // Form submissions
         document.getElementById('loginFormElement')?.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -86,7 +295,40 @@ class SocialMediaApp {
         
         document.getElementById('homeLink')?.addEventListener('click', (e) => {
             e.preventDefault();
-            this.loadPosts();
+            if (this.router.getCurrentPath() === '/feed') {
+                this.loadPosts();
+            } else {
+                this.router.navigate('/feed');
+            }
+        });
+        
+        // Account switching
+        document.getElementById('addAccountLink')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.handleAddAccount();
+        });
+        
+        ['accountList', 'savedAccountList'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                const btn = e.target.closest('.switch-account');
+                if (btn) {
+                    e.preventDefault();
+                    this.handleSwitchAccount(btn.dataset.name);
+                }
+            });
+        });
+        
+        ['profileLink', 'navUserLink'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.currentUser) {
+                    this.router.navigate(`/profiles/${encodeURIComponent(this.currentUser.name)}`);
+                }
+            });
+        });
+        
+        document.getElementById('backToFeedBtn')?.addEventListener('click', () => {
+            this.router.navigate(this.lastFeedPath);
         });
         
         // Post actions
@@ -98,6 +340,94 @@ class SocialMediaApp {
             this.handleSavePost();
         });
         
+        // Post composer
+        document.getElementById('postForm')?.addEventListener('input', () => {
+            this.updateComposerPreview();
+            this.saveDraft();
+        });
+        
+        document.querySelector('.composer-toolbar')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-format]');
+            if (btn) {
+                this.applyFormat(btn.dataset.format);
+            }
+        });
+        
+        document.getElementById('discardDraftBtn')?.addEventListener('click', () => {
+            this.discardDraft();
+        });
+        
+        document.getElementById('backToEditBtn')?.addEventListener('click', () => {
+            this.toggleChangesReview(false);
+        });
+        
+        const debouncedMediaCheck = debounce(() => this.updateMediaPreview(), 500);
+        document.getElementById('postMedia')?.addEventListener('input', debouncedMediaCheck);
+        
+        // Media lightbox
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.media-button');
+            if (btn) {
+                const image = btn.querySelector('img');
+                this.showLightbox(image.src, image.alt);
+            }
+        });
+        
+        // Profile editing
+        document.getElementById('saveProfileBtn')?.addEventListener('click', () => {
+            this.handleSaveProfile();
+        });
+        
+        document.getElementById('profileBio')?.addEventListener('input', (e) => {
+            document.getElementById('profileBioCount').textContent = e.target.value.length;
+        });
+        
+        document.getElementById('profileAvatarUrl')?.addEventListener('input', (e) => {
+            this.updateImagePreview('avatarPreview', e.target, 'https://via.placeholder.com/96');
+        });
+        
+        document.getElementById('profileBannerUrl')?.addEventListener('input', (e) => {
+            this.updateImagePreview('bannerPreview', e.target, 'https://via.placeholder.com/600x180');
+        });
+        
+        // Post management
+        document.getElementById('managePostsList')?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('manage-select')) {
+                this.toggleManageSelection([e.target.value], e.target.checked);
+            }
+        });
+        
+        document.getElementById('manageSelectAll')?.addEventListener('change', (e) => {
+            this.toggleManageSelection(this.manage.posts.map(post => String(post.id)), e.target.checked);
+        });
+        
+        document.getElementById('bulkToolbar')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-bulk-action]');
+            if (btn) {
+                this.handleBulkAction(btn.dataset.bulkAction, btn.dataset.exportFormat);
+            }
+        });
+        
+        document.getElementById('exportAllMenu')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-export-format]');
+            if (btn) {
+                this.exportManagePosts(this.manage.posts, btn.dataset.exportFormat);
+            }
+        });
+        
+        // Importing posts
+        document.getElementById('importPostsBtn')?.addEventListener('click', () => {
+            this.showImportModal();
+        });
+        
+        document.getElementById('importFile')?.addEventListener('change', (e) => {
+            this.previewImport(e.target);
+        });
+        
+        document.getElementById('confirmImportBtn')?.addEventListener('click', () => {
+            this.runImport();
+        });
+        
         // Search and filter
         const searchInput = document.getElementById('searchInput');
         const debouncedSearch = debounce((query) => {
@@ -109,13 +439,42 @@ class SocialMediaApp {
         });
         
         document.getElementById('searchBtn')?.addEventListener('click', () => {
-            this.handleSearch(searchInput.value);
+            this.handleSearch(searchInput.value, { replace: false });
         });
         
         document.getElementById('filterSelect')?.addEventListener('change', (e) => {
             this.handleFilter(e.target.value);
         });
         
+        document.getElementById('advancedSearchForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAdvancedSearch();
+        });
+        
+        document.getElementById('resetSearchBtn')?.addEventListener('click', () => {
+            this.navigateToFeed({ search: '', tag: '', author: '', sort: '', from: '', to: '', media: '' });
+        });
+        
+        document.getElementById('tagFilter')?.addEventListener('click', (e) => {
+            if (e.target.closest('.clear-tag')) {
+                this.navigateToFeed({ tag: '' });
+            }
+        });
+        
+        document.getElementById('loadMoreBtn')?.addEventListener('click', () => {
+            this.loadMorePosts();
+        });
+        
+        // Offline changes, listed in the outbox and as pending posts in the feed
+        ['outboxList', 'pendingPosts'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-outbox-action]');
+                if (btn) {
+                    this.handleOutboxAction(btn.dataset.outboxAction, Number(btn.dataset.id));
+                }
+            });
+        });
+        
         // Email validation
         document.getElementById('registerEmail')?.addEventListener('blur', (e) => {
             this.validateEmail(e.target);
@@ -128,6 +487,7 @@ class SocialMediaApp {
     async handleLogin() {
         const email = document.getElementById('loginEmail').value;
         const password = document.getElementById('loginPassword').value;
+        const remember = document.getElementById('loginRemember')?.checked ?? true;
         
         if (!email || !password) {
             showAlert('Please fill in all fields', 'danger');
@@ -136,16 +496,23 @@ class SocialMediaApp {
         
         try {
             showLoading(true);
-            await this.authService.login({ email, password });
+            await this.authService.login({ email, password, remember });
             
             this.currentUser = this.authService.getCurrentUser();
+            this.updateAccountUI();
             showAlert('Login successful!', 'success');
             
             clearForm('loginFormElement');
-            togglePageVisibility(false);
-            this.loadPosts();
+            this.session.start();
+            this.loadFollowing();
+            this.syncOutbox();
+            this.deletes.resume();
+            
+            // Go back to the page that required logging in
+            this.router.navigate(this.router.consumeRedirect() || '/feed', { replace: true });
             
         } catch (error) {
+            this.showFieldErrors(error, 'login');
             showAlert(error.message, 'danger');
         } finally {
             showLoading(false);
@@ -181,9 +548,10 @@ class SocialMediaApp {
             
             showAlert('Registration successful! Please login.', 'success');
             clearForm('registerFormElement');
-            toggleAuthForms(true);
+            this.router.navigate('/login');
             
         } catch (error) {
+            this.showFieldErrors(error, 'register');
             showAlert(error.message, 'danger');
         } finally {
             showLoading(false);
@@ -194,224 +562,2144 @@ class SocialMediaApp {
      * Handle user logout
      */
     handleLogout() {
-        this.authService.logout();
-        this.currentUser = null;
-        togglePageVisibility(true);
+        this.endSession();
+        this.router.navigate('/login');
         showAlert('Logged out successfully', 'info');
     }
     
     /**
-     * Load and render posts
+     * Warn the user that their session is about to expire
+     * @param {number} msLeft - Milliseconds until the token expires
      */
-    async loadPosts({ search = '', filter = '' } = {}) {
-        try {
-            showLoading(true);
-            
-            let options = { limit: 12 };
-            
-            if (search) {
-                options.search = search;
-            }
-            
-            // Handle filter options
-            if (filter === 'my') {
-                // This would need to be implemented with author filtering
-                // For now, we'll load all posts and filter client-side
-            }
-            
-            const response = await this.postsService.getPosts(options);
-            const posts = response.data || [];
-            
-            this.renderPosts(posts, filter);
-            
-        } catch (error) {
-            showAlert('Failed to load posts: ' + error.message, 'danger');
-        } finally {
-            showLoading(false);
+    handleSessionExpiring(msLeft) {
+        const minutes = Math.max(1, Math.round(msLeft / 60000));
+        showAlert(
+            `Your session expires in ${minutes} minute${minutes !== 1 ? 's' : ''}. Save your work and log in again to continue.`,
+            'warning',
+            15000
+        );
+    }
+    
+    /**
+     * Log out after the session expired or the API rejected it,
+     * remembering the current page so login can return to it
+     * @param {string} reason - 'expired' or 'unauthorized'
+     */
+    handleSessionExpired(reason) {
+        this.router.rememberRedirect(this.router.getCurrentPath());
+        this.endSession();
+        this.router.navigate('/login', { replace: true });
+        
+        showAlert(reason === 'expired'
+            ? 'Your session has expired. Please log in again.'
+            : 'You have been logged out. Please log in again.', 'warning');
+    }
+    
+    /**
+     * Log out the active account and clear all user specific state
+     */
+    endSession() {
+        const userName = this.currentUser?.name;
+        
+        this.deletes.flush();
+        this.session.stop();
+        this.authService.logout();
+        this.resetUserState();
+        
+        // Don't leave the account's posts readable on a shared machine
+        if (userName) {
+            this.offlineCache.clearAccount(userName).catch(() => {});
         }
     }
     
     /**
-     * Render posts in the feed
+     * Clear the state that belongs to the previously active account
      */
-    renderPosts(posts, filter = '') {
-        const postsFeed = document.getElementById('postsFeed');
+    resetUserState() {
+        this.currentUser = this.authService.getCurrentUser();
+        this.followingNames.clear();
+        this.postsById.clear();
+        this.postsService.clearCache();
+        this.feed.page = 0;
+        this.updateAccountUI();
+        this.refreshOutbox();
+    }
+    
+    /**
+     * Keep the current account logged in and show the login form for another one
+     */
+    handleAddAccount() {
+        this.deletes.flush();
+        this.session.stop();
+        this.authService.deactivateAccount();
+        this.resetUserState();
+        this.router.navigate('/login');
+    }
+    
+    /**
+     * Make another logged in account the active one and reload the current page as that account
+     * @param {string} name - Profile name of the account
+     */
+    handleSwitchAccount(name) {
+        const wasOnAuthPage = !this.currentUser;
         
-        // Filter posts if needed
-        let filteredPosts = posts;
-        if (filter === 'my' && this.currentUser) {
-            filteredPosts = posts.filter(post => 
-                post.author?.name === this.currentUser.name
-            );
+        try {
+            // Deletes are sent as the account that made them
+            this.deletes.flush();
+            this.session.stop();
+            this.authService.switchAccount(name);
+        } catch (error) {
+            showAlert(error.message, 'danger');
+            return;
         }
         
-        if (filteredPosts.length === 0) {
-            postsFeed.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-inbox"></i>
-                    <h3>No posts found</h3>
-                    <p>Be the first to create a post!</p>
-                </div>
-            `;
+        this.resetUserState();
+        
+        if (!this.authService.isAuthenticated()) {
+            this.handleSessionExpired('expired');
             return;
         }
         
-        postsFeed.innerHTML = filteredPosts.map(post => this.createPostHTML(post)).join('');
+        this.session.start();
+        this.loadFollowing();
+        this.syncOutbox();
+        this.deletes.resume();
+        showAlert(`Switched to ${name}`, 'success');
         
-        // Attach event listeners to post actions
-        this.attachPostEventListeners();
+        if (wasOnAuthPage) {
+            this.router.navigate(this.router.consumeRedirect() || '/feed', { replace: true });
+        } else {
+            this.router.resolve();
+        }
     }
     
     /**
-     * Create HTML for a single post
+     * Update the navbar user, the account switcher and the saved accounts on the login page
      */
-    createPostHTML(post) {
-        const { author, created, title, body, tags = [], media, id } = post;
-        const isOwner = this.currentUser && author?.name === this.currentUser.name;
+    updateAccountUI() {
+        const accounts = this.authService.getAccounts();
+        const otherAccounts = accounts.filter(account => !account.isActive);
         
-        return `
-            <div class="card post-card post-enter">
-                <div class="card-body">
-                    <div class="post-header">
-                        <div class="post-author">
-                            <img src="${author?.avatar?.url || 'https://via.placeholder.com/40'}" 
-                                 alt="${author?.name || 'User'}" 
-                                 onerror="this.src='https://via.placeholder.com/40'">
-                            <div>
-                                <strong>${author?.name || 'Anonymous'}</strong>
-                                <div class="post-meta">${formatDate(created)}</div>
-                            </div>
-                        </div>
-                        ${isOwner ? `
-                            <div class="post-actions">
-                                <button class="btn btn-sm btn-outline-primary edit-post" data-id="${id}">
-                                    <i class="fas fa-edit"></i>
-                                </button>
-                                <button class="btn btn-sm btn-outline-danger delete-post" data-id="${id}">
-                                    <i class="fas fa-trash"></i>
-                                </button>
-                            </div>
-                        ` : ''}
-                    </div>
-                    
-                    <div class="post-content">
-                        <h5 class="post-title">${title}</h5>
-                        <p class="post-body">${body}</p>
-                        
-                        ${media ? `
-                            <img src="${media.url}" alt="${media.alt || 'Post media'}" 
-                                 class="img-fluid post-media" 
-                                 onerror="this.style.display='none'">
-                        ` : ''}
-                        
-                        ${tags.length > 0 ? `
-                            <div class="post-tags">
-                                ${tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-            </div>
+        updateNavUser(this.currentUser);
+        
+        const createAccountItem = (account, className) => html`
+            <a href="#"${attrs({ class: `${className} switch-account`, 'data-name': account.name })}>
+                <img src="${safeUrl(account.avatar?.url, 'https://via.placeholder.com/24')}" alt="" class="account-avatar">
+                ${account.name}
+                ${account.isExpired ? html`<small class="text-muted ms-1">(expired)</small>` : ''}
+            </a>
         `;
+        
+        const accountList = document.getElementById('accountList');
+        accountList.innerHTML = html`${otherAccounts.map(account => createAccountItem(account, 'dropdown-item'))}`;
+        
+        const savedAccounts = document.getElementById('savedAccounts');
+        const savedAccountList = document.getElementById('savedAccountList');
+        savedAccounts.classList.toggle('d-none', this.currentUser !== null || otherAccounts.length === 0);
+        savedAccountList.innerHTML = html`${otherAccounts.map(account => createAccountItem(account, 'saved-account'))}`;
     }
     
     /**
-     * Attach event listeners to post action buttons
+     * Load the first page of posts for a feed query and render it
+     * @param {Object} query - Changes to the current feed query
+     * @param {string} query.search - Search text
+     * @param {string} query.filter - Feed filter ('', 'my' or 'following')
+     * @param {string} query.tag - Tag to filter by
+     * @param {string} query.author - Profile name to filter by
+     * @param {string} query.from - First day of the date range (YYYY-MM-DD)
+     * @param {string} query.to - Last day of the date range (YYYY-MM-DD)
+     * @param {string} query.media - '1' for posts with media only
+     * @param {string} query.sort - Sort option (see SORT_OPTIONS)
      */
-    attachPostEventListeners() {
-        // Edit post buttons
-        document.querySelectorAll('.edit-post').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const postId = btn.dataset.id;
-                this.editPost(postId);
-            });
-        });
+    async loadPosts(query = {}) {
+        // Cancel the requests of the previous query
+        this.feed.controller.abort();
         
-        // Delete post buttons
-        document.querySelectorAll('.delete-post').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const postId = btn.dataset.id;
-                this.deletePost(postId);
-            });
-        });
+        this.feedQuery = { ...this.feedQuery, ...query };
+        this.feed = {
+            requestId: this.feed.requestId + 1,
+            page: 0,
+            isLastPage: false,
+            isLoading: false,
+            postIds: new Set(),
+            posts: [],
+            skippedPages: 0,
+            controller: new AbortController()
+        };
+        
+        document.getElementById('postsFeed').innerHTML = '';
+        this.renderPendingPosts();
+        this.updateFeedFooter();
+        this.renderTrendingTags();
+        
+        await this.loadNextPage();
     }
     
     /**
-     * Show post modal for creating or editing
+     * Load the next page of the current feed query, if there is one
      */
-    showPostModal(post = null) {
-        const modal = new bootstrap.Modal(document.getElementById('postModal'));
-        const modalTitle = document.getElementById('postModalTitle');
-        
-        if (post) {
-            // Edit mode
-            modalTitle.textContent = 'Edit Post';
-            document.getElementById('postTitle').value = post.title;
-            document.getElementById('postBody').value = post.body;
-            document.getElementById('postTags').value = post.tags?.join(', ') || '';
-            document.getElementById('postMedia').value = post.media?.url || '';
-            this.currentPostId = post.id;
-            this.isEditMode = true;
-        } else {
-            // Create mode
-            modalTitle.textContent = 'Create Post';
-            clearForm('postForm');
-            this.currentPostId = null;
-            this.isEditMode = false;
+    async loadMorePosts() {
+        if (this.feed.isLoading || this.feed.isLastPage || this.feed.page === 0) {
+            return;
         }
         
-        modal.show();
+        await this.loadNextPage();
     }
     
     /**
-     * Handle saving post (create or update)
+     * Fetch and append the page after the last loaded one
+     * Requests for an older feed query are cancelled, and only the newest one
+     * may touch the feed or the loading spinner
      */
-    async handleSavePost() {
-        const title = document.getElementById('postTitle').value.trim();
-        const body = document.getElementById('postBody').value.trim();
-        const tagsInput = document.getElementById('postTags').value.trim();
-        const media = document.getElementById('postMedia').value.trim();
-        
-        if (!title || !body) {
-            showAlert('Title and content are required', 'danger');
-            return;
-        }
+    async loadNextPage() {
+        const { requestId, controller } = this.feed;
+        const page = this.feed.page + 1;
+        const isFirstPage = page === 1;
+        let loadAnother = false;
         
-        const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-        const postData = { title, body, tags, media: media || null };
+        this.feed.isLoading = true;
+        this.updateFeedFooter();
+        if (isFirstPage) showLoading(true);
         
         try {
-            showLoading(true);
+            const response = await this.fetchFeedPage(page, controller.signal);
             
-            if (this.isEditMode && this.currentPostId) {
-                await this.postsService.updatePost(this.currentPostId, postData);
-                showAlert('Post updated successfully!', 'success');
-            } else {
-                await this.postsService.createPost(postData);
-                showAlert('Post created successfully!', 'success');
-            }
+            // The query changed while this request was running
+            if (requestId !== this.feed.requestId) return;
             
-            // Close modal and refresh posts
-            const modal = bootstrap.Modal.getInstance(document.getElementById('postModal'));
-            modal.hide();
+            if (isFirstPage) this.showCachedNotice(response);
             
-            this.loadPosts();
+            const newPosts = (response.data || []).filter(post => !this.feed.postIds.has(post.id));
+            newPosts.forEach(post => this.feed.postIds.add(post.id));
             
-        } catch (error) {
-            showAlert(error.message, 'danger');
+            // Refine on the client what the API can't filter or sort by
+            const checkText = this.feedQuery.filter === 'following' || Boolean(this.getFeedAuthor());
+            const posts = newPosts.filter(post => matchesFeedQuery(post, this.feedQuery, { checkText }));
+            const hadPosts = this.feed.posts.length > 0;
+            this.feed.posts.push(...posts);
+            
+            this.feed.page = page;
+            this.feed.isLastPage = (response.meta?.isLastPage ?? newPosts.length === 0)
+                || isPastDateRange(newPosts, this.feedQuery);
+            
+            const { compare } = SORT_OPTIONS[this.feedQuery.sort] || {};
+            if (compare) {
+                this.feed.posts.sort((a, b) => compare(a, b) || new Date(b.created) - new Date(a.created));
+                this.renderPosts(this.feed.posts);
+            } else if (posts.length > 0 || !hadPosts) {
+                this.renderPosts(posts, { append: hadPosts });
+            }
+            
+            // Keep looking when a whole page was filtered out, but not forever
+            this.feed.skippedPages = posts.length > 0 ? 0 : this.feed.skippedPages + 1;
+            loadAnother = posts.length === 0 && !this.feed.isLastPage && this.feed.skippedPages < MAX_SKIPPED_PAGES;
+            
+        } catch (error) {
+            if (requestId === this.feed.requestId) {
+                showAlert('Failed to load posts: ' + error.message, 'danger');
+            }
+        } finally {
+            if (requestId === this.feed.requestId) {
+                this.feed.isLoading = false;
+                this.updateFeedFooter();
+                if (isFirstPage) showLoading(false);
+            }
+        }
+        
+        if (loadAnother && requestId === this.feed.requestId) {
+            await this.loadNextPage();
+        }
+    }
+    
+    /**
+     * Request one page of posts for the current feed query
+     * @param {number} page - Page number
+     * @param {AbortSignal} signal - Signal that cancels the request
+     * @returns {Promise<Object>} Posts data with pagination meta
+     */
+    fetchFeedPage(page, signal) {
+        const { search, filter, tag, sort } = this.feedQuery;
+        const { sort: apiSort = '', sortOrder = '' } = SORT_OPTIONS[sort] || SORT_OPTIONS[''];
+        const options = { limit: FEED_PAGE_SIZE, page, tag, sort: apiSort, sortOrder, signal };
+        
+        if (filter === 'following') {
+            return this.postsService.getFollowingPosts(options);
+        }
+        
+        // Author and my posts queries are loaded from the profile, the search text is applied afterwards
+        const author = this.getFeedAuthor();
+        if (author) {
+            return this.postsService.getPostsByAuthor(author, options);
+        }
+        
+        return this.postsService.getPosts({ ...options, search });
+    }
+    
+    /**
+     * Profile whose posts the current feed query is limited to
+     * @returns {string} Profile name, or an empty string
+     */
+    getFeedAuthor() {
+        if (this.feedQuery.author) return this.feedQuery.author;
+        return this.feedQuery.filter === 'my' && this.currentUser ? this.currentUser.name : '';
+    }
+    
+    /**
+     * Show the advanced search fields of a feed query, opening the panel when any is used
+     * @param {Object} feedQuery - Feed query
+     */
+    fillAdvancedSearch(feedQuery) {
+        document.getElementById('searchTag').value = feedQuery.tag;
+        document.getElementById('searchAuthor').value = feedQuery.author;
+        document.getElementById('searchSort').value = feedQuery.sort;
+        document.getElementById('searchFrom').value = feedQuery.from;
+        document.getElementById('searchTo').value = feedQuery.to;
+        document.getElementById('searchMedia').checked = feedQuery.media === '1';
+        
+        if (['author', 'sort', 'from', 'to', 'media'].some(key => feedQuery[key])) {
+            document.getElementById('advancedSearchForm').classList.add('show');
+        }
+    }
+    
+    /**
+     * Search with the text and the advanced search fields combined
+     */
+    handleAdvancedSearch() {
+        const from = document.getElementById('searchFrom').value;
+        const to = document.getElementById('searchTo').value;
+        
+        if (from && to && from > to) {
+            showAlert('The start date must be before the end date', 'danger');
+            return;
+        }
+        
+        this.navigateToFeed({
+            search: document.getElementById('searchInput').value.trim(),
+            tag: document.getElementById('searchTag').value.trim().replace(/^#/, ''),
+            author: document.getElementById('searchAuthor').value.trim(),
+            sort: document.getElementById('searchSort').value,
+            from,
+            to,
+            media: document.getElementById('searchMedia').checked ? '1' : ''
+        });
+    }
+    
+    /**
+     * Render posts in the feed
+     * @param {Object[]} posts - Posts to render
+     * @param {Object} options - Render options
+     * @param {boolean} options.append - Add to the loaded posts instead of replacing them
+     */
+    renderPosts(posts, { append = false } = {}) {
+        const postsFeed = document.getElementById('postsFeed');
+        
+        if (!append) {
+            postsFeed.innerHTML = '';
+        }
+        
+        if (posts.length === 0 && !append) {
+            const isSearch = ['search', 'tag', 'author', 'from', 'to', 'media'].some(key => this.feedQuery[key]);
+            const message = isSearch
+                ? EMPTY_FEED_MESSAGES.search
+                : EMPTY_FEED_MESSAGES[this.feedQuery.filter] || EMPTY_FEED_MESSAGES[''];
+            
+            postsFeed.innerHTML = html`
+                <div class="empty-state">
+                    <i class="fas fa-inbox"></i>
+                    <h3>No posts found</h3>
+                    <p>${message}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        posts.forEach(post => this.postsById.set(post.id, post));
+        this.renderTrendingTags();
+        
+        const batch = document.createElement('div');
+        batch.className = 'feed-page';
+        batch.innerHTML = html`${posts.map(post => this.createPostHTML(post))}`;
+        postsFeed.appendChild(batch);
+        
+        // Attach event listeners to post actions
+        this.attachPostEventListeners(batch);
+    }
+    
+    /**
+     * Show the chip of the active tag filter next to the search box
+     * @param {string} tag - Active tag, or an empty string
+     */
+    renderTagFilter(tag) {
+        const tagFilter = document.getElementById('tagFilter');
+        
+        tagFilter.classList.toggle('d-none', !tag);
+        tagFilter.innerHTML = tag ? html`
+            <span class="tag-chip">
+                Filtered by <strong>#${tag}</strong>
+                <button type="button" class="btn-close clear-tag" aria-label="Remove tag filter"></button>
+            </span>
+        ` : '';
+    }
+    
+    /**
+     * Render the most used tags of the loaded posts in the sidebar
+     */
+    renderTrendingTags() {
+        const trendingTags = document.getElementById('trendingTags');
+        const tags = getTrendingTags([...this.postsById.values()], TRENDING_TAG_LIMIT);
+        
+        trendingTags.innerHTML = tags.length > 0
+            ? html`${tags.map(({ tag, count }) => html`
+                <a href="${tagHref(tag)}"${attrs({ class: tag === this.feedQuery.tag ? 'tag active' : 'tag' })}>
+                    #${tag} <span class="tag-count">${count}</span>
+                </a>
+            `)}`
+            : html`<p class="text-muted small mb-0">Tags of the posts you browse will show up here.</p>`;
+    }
+    
+    /**
+     * Show the load more button, a loading indicator or the end of feed note
+     */
+    updateFeedFooter() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        const feedEnd = document.getElementById('feedEnd');
+        const { page, isLoading, isLastPage } = this.feed;
+        
+        loadMoreBtn.classList.toggle('d-none', page === 0 || isLastPage);
+        loadMoreBtn.disabled = isLoading;
+        loadMoreBtn.innerHTML = isLoading
+            ? html`<span class="spinner-border spinner-border-sm me-1"></span>Loading...`
+            : html`Load more`;
+        
+        feedEnd.classList.toggle('d-none', !isLastPage || this.feed.posts.length === 0);
+    }
+    
+    /**
+     * Load more posts when the end of the feed scrolls into view
+     */
+    observeFeedEnd() {
+        if (!('IntersectionObserver' in window)) return;
+        
+        const observer = new IntersectionObserver((entries) => {
+            const feedView = document.getElementById('feedView');
+            if (entries.some(entry => entry.isIntersecting) && !feedView.classList.contains('d-none')) {
+                this.loadMorePosts();
+            }
+        }, { rootMargin: '300px' });
+        
+        observer.observe(document.getElementById('feedSentinel'));
+    }
+    
+    /**
+     * Register the service worker that keeps the app shell available offline
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('./sw.js').catch((error) => {
+            console.error('Failed to register service worker:', error.message);
+        });
+    }
+    
+    /**
+     * Show the offline badge and send queued changes once the connection is back
+     */
+    watchConnection() {
+        window.addEventListener('online', () => {
+            toggleOfflineBadge(false);
+            this.syncOutbox();
+        });
+        
+        window.addEventListener('offline', () => toggleOfflineBadge(true));
+        
+        toggleOfflineBadge(!navigator.onLine);
+    }
+    
+    /**
+     * Tell the user a request is waiting to be retried, once per wait
+     * @param {Object} retry - Retry details from the HTTP client
+     * @param {number} retry.status - Status of the failed attempt
+     * @param {number} retry.delayMs - Milliseconds until the next attempt
+     */
+    handleRetry({ status, delayMs }) {
+        const now = Date.now();
+        if (now < this.retryNoticeUntil) return;
+        this.retryNoticeUntil = now + delayMs;
+        
+        const seconds = Math.max(1, Math.ceil(delayMs / 1000));
+        const reason = status === 429 ? 'The server is receiving too many requests' : 'The server is having trouble';
+        showAlert(
+            `${reason}. Trying again in ${seconds} second${seconds !== 1 ? 's' : ''}...`,
+            'warning',
+            Math.max(delayMs, 3000)
+        );
+    }
+    
+    /**
+     * Tell the user a response came from the offline cache
+     * @param {Object} response - API response, possibly marked fromCache
+     */
+    showCachedNotice(response) {
+        if (!response?.fromCache) return;
+        
+        showAlert(`You are offline. Showing a copy saved ${formatDate(response.cachedAt)}.`, 'warning');
+    }
+    
+    /**
+     * Send a post write now, or queue it in the outbox when offline
+     * @param {Function} send - Sends the write to the API
+     * @param {Function} queue - Adds the write to the outbox
+     * @returns {Promise<boolean>} True if the write was sent, false if it was queued
+     * @throws {ApiError} Throws error if the API rejects the write
+     */
+    async saveOrQueue(send, queue) {
+        if (navigator.onLine) {
+            try {
+                await send();
+                return true;
+            } catch (error) {
+                if (!error.isNetworkError) throw error;
+            }
+        }
+        
+        await queue();
+        await this.refreshOutbox();
+        return false;
+    }
+    
+    /**
+     * Replay the active account's queued changes if the app is online
+     */
+    async syncOutbox() {
+        try {
+            await this.refreshOutbox();
+            
+            const hasPending = this.outboxEntries.some(entry => entry.status === 'pending');
+            if (!hasPending || !navigator.onLine || !this.authService.isAuthenticated()) return;
+            
+            const { sent, rejected } = await this.outbox.replay();
+            await this.refreshOutbox();
+            
+            if (sent > 0) {
+                showAlert(`${sent} offline change${sent !== 1 ? 's' : ''} saved`, 'success');
+                this.refreshActiveView();
+            }
+            
+            if (rejected > 0) {
+                showAlert(
+                    `${rejected} offline change${rejected !== 1 ? 's were' : ' was'} rejected. Review ${rejected !== 1 ? 'them' : 'it'} above the feed.`,
+                    'danger'
+                );
+            }
+        } catch (error) {
+            showAlert('Failed to sync offline changes: ' + error.message, 'danger');
+        }
+    }
+    
+    /**
+     * Reload the active account's outbox and show it
+     */
+    async refreshOutbox() {
+        this.outboxEntries = this.currentUser ? await this.outbox.list() : [];
+        this.renderOutbox();
+        this.renderPendingPosts();
+        this.updatePendingBadges();
+    }
+    
+    /**
+     * Render the queued changes above the feed
+     */
+    renderOutbox() {
+        const outboxPanel = document.getElementById('outboxPanel');
+        const outboxList = document.getElementById('outboxList');
+        
+        outboxPanel.classList.toggle('d-none', this.outboxEntries.length === 0);
+        outboxList.innerHTML = html`${this.outboxEntries.map(entry => html`
+            <div class="outbox-entry">
+                <div class="outbox-entry-info">
+                    ${entry.status === 'rejected'
+                        ? html`<span class="badge bg-danger">Rejected</span>`
+                        : html`<span class="badge bg-warning text-dark">Pending</span>`}
+                    <strong>${OUTBOX_LABELS[entry.type]}:</strong> ${entry.title || 'Untitled post'}
+                    <small class="text-muted">queued ${formatDate(entry.queuedAt)}</small>
+                    ${entry.error ? html`<div class="small text-danger">${entry.error}</div>` : ''}
+                </div>
+                <div class="btn-group btn-group-sm">
+                    ${entry.status === 'rejected' ? html`
+                        <button class="btn btn-outline-primary" data-outbox-action="retry" data-id="${entry.id}">Retry</button>
+                    ` : ''}
+                    ${entry.type !== 'delete' ? html`
+                        <button class="btn btn-outline-secondary" data-outbox-action="edit" data-id="${entry.id}">Edit</button>
+                    ` : ''}
+                    <button class="btn btn-outline-danger" data-outbox-action="discard" data-id="${entry.id}">Discard</button>
+                </div>
+            </div>
+        `)}`;
+    }
+    
+    /**
+     * Retry, edit or discard a queued change
+     * @param {string} action - 'retry', 'edit' or 'discard'
+     * @param {number} id - Outbox entry ID
+     */
+    async handleOutboxAction(action, id) {
+        const entry = this.outboxEntries.find(item => item.id === id);
+        if (!entry) return;
+        
+        try {
+            if (action === 'edit') {
+                // Queued updates hold the changed fields only, shown on top of the post they change
+                const original = entry.type === 'update' ? await this.loadPostForEdit(entry.postId) : null;
+                const { media, ...fields } = entry.payload;
+                
+                this.showPostModal(
+                    {
+                        ...original,
+                        ...fields,
+                        id: entry.postId,
+                        // Bare URLs come from posts queued before media had alt text
+                        media: 'media' in entry.payload
+                            ? (typeof media === 'string' ? { url: media } : media)
+                            : original?.media
+                    },
+                    { draftId: `outbox-${entry.id}`, original }
+                );
+                this.editingOutboxId = entry.id;
+                document.getElementById('postModalTitle').textContent = 'Edit Queued Post';
+                return;
+            }
+            
+            if (action === 'retry') {
+                await this.outbox.retry(id);
+            } else if (action === 'discard') {
+                if (!confirm(`Discard this change to "${entry.title || 'Untitled post'}"?`)) return;
+                await this.outbox.discard(id);
+            }
+            
+            await this.syncOutbox();
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
+        }
+    }
+    
+    /**
+     * Render the posts written offline above the feed, if the feed query would show them
+     */
+    renderPendingPosts() {
+        const entries = this.feedQuery.filter === 'following' || !this.currentUser ? [] : this.outboxEntries
+            .filter(entry => entry.type === 'create')
+            .filter(entry => matchesFeedQuery(this.toPendingPost(entry), this.feedQuery, { checkText: true }));
+        
+        document.getElementById('pendingPosts').innerHTML = html`${entries.map(entry => this.createPendingPostHTML(entry))}`;
+    }
+    
+    /**
+     * Shape a queued create like a post of the current user
+     * @param {Object} entry - Outbox entry
+     * @returns {Object} Post data
+     */
+    toPendingPost(entry) {
+        const { title, body, tags = [], media } = entry.payload;
+        
+        return {
+            title,
+            body,
+            tags,
+            // Bare URLs come from posts queued before media had alt text
+            media: typeof media === 'string' ? { url: media } : media,
+            author: this.currentUser,
+            created: entry.queuedAt
+        };
+    }
+    
+    /**
+     * Create HTML for a post that is waiting to be sent
+     * @param {Object} entry - Outbox entry of a queued create
+     * @returns {SafeHTML} Card markup
+     */
+    createPendingPostHTML(entry) {
+        const { title, body, tags, media, author } = this.toPendingPost(entry);
+        const mediaUrl = safeUrl(media?.url);
+        
+        return html`
+            <div class="card post-card post-pending" data-outbox-id="${entry.id}">
+                <div class="card-body">
+                    <div class="post-header">
+                        <div class="post-author">
+                            <img src="${safeUrl(author.avatar?.url, 'https://via.placeholder.com/40')}" 
+                                 alt="${author.name}" 
+                                 onerror="this.src='https://via.placeholder.com/40'">
+                            <div>
+                                <strong>${author.name}</strong>
+                                <div class="post-meta">
+                                    ${formatDate(entry.queuedAt)}
+                                    ${entry.status === 'rejected'
+                                        ? html`<span class="badge bg-danger ms-1">Post pending (rejected)</span>`
+                                        : html`<span class="badge bg-warning text-dark ms-1">Post pending</span>`}
+                                </div>
+                            </div>
+                        </div>
+                        <div class="post-actions">
+                            <button class="btn btn-sm btn-outline-primary" data-outbox-action="edit" data-id="${entry.id}">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-danger" data-outbox-action="discard" data-id="${entry.id}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                    
+                    <div class="post-content">
+                        <h5 class="post-title">${title}</h5>
+                        <div class="post-body markdown">${renderMarkdown(body)}</div>
+                        
+                        ${mediaUrl ? html`
+                            <img src="${mediaUrl}" alt="${media.alt || 'Post media'}" 
+                                 class="img-fluid post-media" 
+                                 onerror="this.style.display='none'">
+                        ` : ''}
+                        
+                        ${tags.length > 0 ? html`
+                            <div class="post-tags">
+                                ${tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                            </div>
+                        ` : ''}
+                    </div>
+                    
+                    ${entry.error ? html`<div class="small text-danger">${entry.error}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Find the queued change to an existing post
+     * @param {number|string} postId - Post ID
+     * @returns {Object|undefined} Outbox entry
+     */
+    findPendingChange(postId) {
+        return this.outboxEntries.find(entry => entry.postId !== null && String(entry.postId) === String(postId));
+    }
+    
+    /**
+     * Create the badge marking a post with a queued change
+     * @param {number|string} postId - Post ID
+     * @returns {SafeHTML|string} Badge markup, or an empty string
+     */
+    createPendingBadgeHTML(postId) {
+        const entry = this.findPendingChange(postId);
+        if (!entry) return '';
+        
+        const label = entry.type === 'delete' ? 'Delete pending' : 'Edit pending';
+        return entry.status === 'rejected'
+            ? html`<span class="badge bg-danger ms-1">${label} (rejected)</span>`
+            : html`<span class="badge bg-warning text-dark ms-1">${label}</span>`;
+    }
+    
+    /**
+     * Update the pending badges of every rendered post
+     */
+    updatePendingBadges() {
+        document.querySelectorAll('.post-card[data-post-id]').forEach(card => {
+            const { postId } = card.dataset;
+            card.classList.toggle('post-pending', Boolean(this.findPendingChange(postId)));
+            
+            const badge = card.querySelector('.pending-badge');
+            if (badge) badge.innerHTML = this.createPendingBadgeHTML(postId);
+        });
+    }
+    
+    /**
+     * Create HTML for a single post
+     */
+    createPostHTML(post) {
+        const { author, created, title, body, tags = [], media, id, comments = [] } = post;
+        const isOwner = this.currentUser && author?.name === this.currentUser.name;
+        const commentCount = post._count?.comments ?? comments.length;
+        const mediaUrl = safeUrl(media?.url);
+        const isPending = Boolean(this.findPendingChange(id));
+        
+        return html`
+            <div class="card post-card post-enter${isPending ? ' post-pending' : ''}${this.deletes.has(id) ? ' d-none' : ''}" data-post-id="${id}">
+                <div class="card-body">
+                    <div class="post-header">
+                        <div class="post-author">
+                            <a href="${profileHref(author?.name)}" class="author-link">
+                                <img src="${safeUrl(author?.avatar?.url, 'https://via.placeholder.com/40')}" 
+                                     alt="${author?.name || 'User'}" 
+                                     onerror="this.src='https://via.placeholder.com/40'">
+                            </a>
+                            <div>
+                                <a href="${profileHref(author?.name)}" class="author-link">
+                                    <strong>${author?.name || 'Anonymous'}</strong>
+                                </a>
+                                <div class="post-meta">
+                                    ${formatDate(created)}
+                                    <span class="pending-badge">${this.createPendingBadgeHTML(id)}</span>
+                                </div>
+                            </div>
+                        </div>
+                        ${isOwner ? html`
+                            <div class="post-actions">
+                                <button class="btn btn-sm btn-outline-primary edit-post" data-id="${id}">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn btn-sm btn-outline-danger delete-post" data-id="${id}">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        ` : author?.name ? html`
+                            <div class="post-actions">
+                                ${this.createFollowButtonHTML(author.name)}
+                            </div>
+                        ` : ''}
+                    </div>
+                    
+                    <div class="post-content">
+                        <h5 class="post-title">${title}</h5>
+                        <div class="post-body markdown">${renderMarkdown(body)}</div>
+                        
+                        ${mediaUrl ? html`
+                            <button type="button" class="media-button" aria-label="View image">
+                                <img src="${mediaUrl}" alt="${media.alt || 'Post media'}" 
+                                     class="img-fluid post-media" 
+                                     onerror="this.parentNode.style.display='none'">
+                            </button>
+                        ` : ''}
+                        
+                        ${tags.length > 0 ? html`
+                            <div class="post-tags">
+                                ${tags.map(tag => html`<a href="${tagHref(tag)}" class="tag">${tag}</a>`)}
+                            </div>
+                        ` : ''}
+                    </div>
+                    
+                    <div class="reaction-bar" data-post-id="${id}">
+                        ${createReactionBarHTML(post.reactions, this.currentUser?.name)}
+                    </div>
+                    
+                    <div class="post-footer">
+                        <a href="#/posts/${id}" class="btn btn-sm btn-link view-post">
+                            <i class="fas fa-comment me-1"></i>${commentCount} comment${commentCount !== 1 ? 's' : ''}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Attach event listeners to post action buttons
+     * @param {HTMLElement} container - Element holding the rendered posts
+     */
+    attachPostEventListeners(container = document.getElementById('postsFeed')) {
+        // Edit post buttons
+        container.querySelectorAll('.edit-post').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const postId = btn.dataset.id;
+                this.editPost(postId);
+            });
+        });
+        
+        // Delete post buttons
+        container.querySelectorAll('.delete-post').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const postId = btn.dataset.id;
+                this.deletePost(postId);
+            });
+        });
+        
+        // Follow buttons
+        container.querySelectorAll('.follow-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handleFollowToggle(btn.dataset.name);
+            });
+        });
+        
+        // Reaction bars
+        container.querySelectorAll('.reaction-bar').forEach(bar => {
+            bar.addEventListener('click', (e) => {
+                const btn = e.target.closest('.reaction-btn');
+                if (btn) {
+                    this.handleReaction(Number(bar.dataset.postId), btn.dataset.symbol);
+                }
+            });
+        });
+
+    }
+    
+    /**
+     * Re-render every reaction bar shown for a post
+     * @param {number} postId - Post ID
+     */
+    updateReactionBars(postId) {
+        const post = this.postsById.get(postId);
+        if (!post) return;
+        
+        document.querySelectorAll(`.reaction-bar[data-post-id="${postId}"]`).forEach(bar => {
+            bar.innerHTML = createReactionBarHTML(post.reactions, this.currentUser?.name);
+        });
+    }
+    
+    /**
+     * Toggle a reaction optimistically and roll back if the request fails
+     * @param {number} postId - Post ID
+     * @param {string} symbol - Reaction emoji
+     */
+    async handleReaction(postId, symbol) {
+        const post = this.postsById.get(postId);
+        const key = `${postId}:${symbol}`;
+        
+        if (!post || !this.currentUser || this.pendingReactions.has(key)) {
+            return;
+        }
+        
+        const previousReactions = post.reactions || [];
+        post.reactions = toggleReaction(previousReactions, symbol, this.currentUser.name);
+        this.updateReactionBars(postId);
+        this.pendingReactions.add(key);
+        
+        try {
+            const response = await this.postsService.react(postId, symbol);
+            if (response?.data?.reactions) {
+                post.reactions = response.data.reactions;
+                this.updateReactionBars(postId);
+            }
+        } catch (error) {
+            post.reactions = previousReactions;
+            this.updateReactionBars(postId);
+            showAlert('Failed to react: ' + error.message, 'danger');
+        } finally {
+            this.pendingReactions.delete(key);
+        }
+    }
+    
+    /**
+     * Load a post and show it with its comment thread
+     * @param {string|number} postId - Post ID
+     */
+    async showPostDetail(postId) {
+        try {
+            showLoading(true);
+            const response = await this.postsService.getPostById(postId);
+            this.showCachedNotice(response);
+            
+            this.currentDetailPost = response.data;
+            this.replyToCommentId = null;
+            this.postsById.set(this.currentDetailPost.id, this.currentDetailPost);
+            
+            showMainView('postDetailView');
+            this.renderPostDetail();
+            
+        } catch (error) {
+            showAlert('Failed to load post: ' + error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Render the current detail post, its comments and the comment form
+     */
+    renderPostDetail() {
+        const postDetail = document.getElementById('postDetail');
+        const post = this.currentDetailPost;
+        const comments = post.comments || [];
+        const replyTarget = comments.find(comment => comment.id === this.replyToCommentId);
+        
+        postDetail.innerHTML = html`
+            ${this.createPostHTML(post)}
+            
+            <div class="card comments-card">
+                <div class="card-body">
+                    <h5 class="mb-3">Comments (${comments.length})</h5>
+                    
+                    <div class="comment-thread">
+                        ${comments.length > 0
+                            ? buildCommentTree(comments).map(node => this.createCommentHTML(node))
+                            : html`<p class="text-muted">No comments yet. Start the discussion!</p>`}
+                    </div>
+                    
+                    <form id="commentForm" class="comment-form">
+                        ${replyTarget ? html`
+                            <div class="reply-indicator">
+                                Replying to <strong>${replyTarget.author?.name || replyTarget.owner}</strong>
+                                <button type="button" class="btn btn-sm btn-link" id="cancelReplyBtn">Cancel</button>
+                            </div>
+                        ` : ''}
+                        <div class="mb-2">
+                            <textarea class="form-control" id="commentBody" rows="2" 
+                                      placeholder="Write a comment..." required></textarea>
+                        </div>
+                        <button type="submit" class="btn btn-primary btn-sm">
+                            <i class="fas fa-paper-plane me-1"></i>${replyTarget ? 'Reply' : 'Comment'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `;
+        
+        this.attachPostEventListeners(postDetail);
+        this.attachCommentEventListeners(postDetail);
+        
+        if (replyTarget) {
+            document.getElementById('commentBody').focus();
+        }
+    }
+    
+    /**
+     * Load a profile with its posts and show the profile page
+     * @param {string} name - Profile name
+     */
+    async showProfile(name) {
+        try {
+            showLoading(true);
+            const [profileResponse, postsResponse] = await Promise.all([
+                this.profilesService.getProfile(name),
+                this.profilesService.getProfilePosts(name)
+            ]);
+            
+            this.currentProfileName = name;
+            this.showCachedNotice(profileResponse);
+            
+            showMainView('profileView');
+            this.renderProfile(profileResponse.data, postsResponse.data || []);
+            
+        } catch (error) {
+            showAlert('Failed to load profile: ' + error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Render a profile header, its connections and its posts
+     * @param {Object} profile - Profile data
+     * @param {Object[]} posts - Posts written by the profile
+     */
+    renderProfile(profile, posts) {
+        const profileDetail = document.getElementById('profileDetail');
+        const { name, bio, avatar, banner, _count = {}, followers = [], following = [] } = profile;
+        const isOwnProfile = this.currentUser && name === this.currentUser.name;
+        const bannerUrl = safeUrl(banner?.url);
+        
+        posts.forEach(post => this.postsById.set(post.id, post));
+        this.renderTrendingTags();
+        
+        profileDetail.innerHTML = html`
+            <div class="card profile-card mb-4">
+                ${bannerUrl
+                    ? html`<img src="${bannerUrl}" alt="${banner.alt || ''}" class="profile-banner">`
+                    : html`<div class="profile-banner"></div>`}
+                <div class="card-body">
+                    <div class="profile-header">
+                        <img src="${safeUrl(avatar?.url, 'https://via.placeholder.com/96')}" 
+                             alt="${avatar?.alt || name}" class="profile-avatar"
+                             onerror="this.src='https://via.placeholder.com/96'">
+                        <div class="flex-grow-1">
+                            <h3 class="mb-1">${name}</h3>
+                            ${bio ? html`<p class="profile-bio">${bio}</p>` : ''}
+                        </div>
+                        ${isOwnProfile ? html`
+                            <button class="btn btn-sm btn-outline-primary" id="editProfileBtn">
+                                <i class="fas fa-edit me-1"></i>Edit profile
+                            </button>
+                        ` : this.createFollowButtonHTML(name)}
+                    </div>
+                    
+                    <div class="profile-stats">
+                        <div><strong>${_count.posts ?? posts.length}</strong> Posts</div>
+                        <div><strong>${_count.followers ?? followers.length}</strong> Followers</div>
+                        <div><strong>${_count.following ?? following.length}</strong> Following</div>
+                    </div>
+                    
+                    ${this.createProfileListHTML('Followers', followers)}
+                    ${this.createProfileListHTML('Following', following)}
+                </div>
+            </div>
+            
+            <h4 class="mb-3">Posts</h4>
+            <div id="profilePosts">
+                ${posts.length > 0
+                    ? posts.map(post => this.createPostHTML({ ...post, author: post.author || profile }))
+                    : html`
+                        <div class="empty-state">
+                            <i class="fas fa-inbox"></i>
+                            <h3>No posts yet</h3>
+                        </div>
+                    `}
+            </div>
+        `;
+        
+        if (!isOwnProfile && this.currentUser) {
+            const isFollowing = followers.some(follower => follower.name === this.currentUser.name);
+            this.setFollowing(name, isFollowing);
+        }
+        
+        this.attachPostEventListeners(profileDetail);
+        
+        document.getElementById('editProfileBtn')?.addEventListener('click', () => {
+            this.showProfileModal(profile);
+        });
+    }
+    
+    /**
+     * Show every post of the current user with bulk actions
+     */
+    async showManagePosts() {
+        try {
+            showLoading(true);
+            showMainView('manageView');
+            document.getElementById('bulkFailures').classList.add('d-none');
+            
+            await this.loadManagePosts();
+            
+        } catch (error) {
+            showAlert('Failed to load your posts: ' + error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Load the current user's posts, keeping the selection of posts that are still there
+     */
+    async loadManagePosts() {
+        const posts = await this.postsService.getAllPostsByAuthor(this.currentUser.name);
+        const ids = new Set(posts.map(post => String(post.id)));
+        
+        this.manage.posts = posts.filter(post => !this.deletes.has(post.id));
+        this.manage.selected = new Set([...this.manage.selected].filter(id => ids.has(id)));
+        posts.forEach(post => this.postsById.set(post.id, post));
+        
+        this.renderManagePosts();
+    }
+    
+    /**
+     * Render the list of the current user's posts
+     */
+    renderManagePosts() {
+        const { posts, selected } = this.manage;
+        const list = document.getElementById('managePostsList');
+        
+        list.innerHTML = posts.length > 0 ? html`${posts.map(post => html`
+            <label class="list-group-item manage-post">
+                <input type="checkbox" value="${post.id}"${attrs({
+                    class: 'form-check-input flex-shrink-0 mt-1 manage-select',
+                    checked: selected.has(String(post.id))
+                })}>
+                <div class="flex-grow-1">
+                    <div class="d-flex justify-content-between gap-2">
+                        <strong>${post.title}</strong>
+                        <small class="text-muted text-nowrap">${formatDate(post.created)}</small>
+                    </div>
+                    <div class="small text-muted">${truncateText(post.body || '', 120)}</div>
+                    ${(post.tags || []).map(tag => html`<span class="tag">${tag}</span>`)}
+                </div>
+            </label>
+        `)}` : html`
+            <div class="empty-state">
+                <i class="fas fa-inbox"></i>
+                <h3>No posts yet</h3>
+                <p>Posts you write will show up here.</p>
+            </div>
+        `;
+        
+        this.updateBulkToolbar();
+    }
+    
+    /**
+     * Select or unselect posts in the management view
+     * @param {string[]} ids - Post IDs
+     * @param {boolean} isSelected - Whether the posts are selected
+     */
+    toggleManageSelection(ids, isSelected) {
+        ids.forEach(id => isSelected ? this.manage.selected.add(id) : this.manage.selected.delete(id));
+        
+        document.querySelectorAll('#managePostsList .manage-select').forEach(checkbox => {
+            checkbox.checked = this.manage.selected.has(checkbox.value);
+        });
+        this.updateBulkToolbar();
+    }
+    
+    /**
+     * Show the selection count and enable the bulk actions that apply
+     */
+    updateBulkToolbar() {
+        const { posts, selected, isRunning } = this.manage;
+        const selectAll = document.getElementById('manageSelectAll');
+        
+        document.getElementById('manageSelectedCount').textContent = `${selected.size} selected`;
+        document.querySelectorAll('#bulkToolbar [data-bulk-action], #bulkExportToggle').forEach(btn => {
+            btn.disabled = isRunning || selected.size === 0;
+        });
+        
+        selectAll.checked = posts.length > 0 && selected.size === posts.length;
+        selectAll.indeterminate = selected.size > 0 && selected.size < posts.length;
+        selectAll.disabled = isRunning || posts.length === 0;
+    }
+    
+    /**
+     * Run a bulk action on the selected posts
+     * @param {string} action - 'add-tag', 'remove-tag', 'export' or 'delete'
+     * @param {string} format - Export format (see EXPORT_FORMATS)
+     */
+    async handleBulkAction(action, format) {
+        const posts = this.manage.posts.filter(post => this.manage.selected.has(String(post.id)));
+        if (posts.length === 0 || this.manage.isRunning) return;
+        
+        if (action === 'export') {
+            this.exportManagePosts(posts, format);
+            return;
+        }
+        
+        const count = `${posts.length} post${posts.length !== 1 ? 's' : ''}`;
+        
+        if (action === 'delete') {
+            this.deleteManagePosts(posts, count);
+            return;
+        }
+        
+        const tagInput = document.getElementById('bulkTagInput');
+        const tag = tagInput.value.trim().replace(/^#/, '');
+        if (!tag) {
+            validateInput(tagInput, false, 'Enter a tag');
+            return;
+        }
+        tagInput.classList.remove('is-invalid');
+        
+        const isAdding = action === 'add-tag';
+        await this.runBulkAction(`${isAdding ? 'Adding' : 'Removing'} #${tag} ${isAdding ? 'to' : 'from'} ${count}`, options => (
+            this.postsService.bulkUpdateTags(posts, isAdding ? { add: [tag] } : { remove: [tag] }, options)
+        ));
+    }
+    
+    /**
+     * Delete the selected posts once one undo window runs out, hiding them straight away
+     * @param {Object[]} posts - Posts to delete
+     * @param {string} count - Number of posts, for messages
+     */
+    deleteManagePosts(posts, count) {
+        const postIds = posts.map(post => post.id);
+        const ids = new Set(postIds);
+        
+        this.deletes.schedule(posts.map(post => ({ postId: post.id, title: post.title })));
+        postIds.forEach(postId => this.togglePostCards(postId, false));
+        
+        this.manage.posts = this.manage.posts.filter(post => !ids.has(post.id));
+        this.manage.selected.clear();
+        document.getElementById('bulkFailures').classList.add('d-none');
+        this.renderManagePosts();
+        
+        showAlert(`${count} deleted.`, 'info', UNDO_DELETE_MS, {
+            actions: [{ label: 'Undo', onClick: () => this.undoDelete(postIds) }]
+        });
+    }
+    
+    /**
+     * Download posts with their comments and reactions
+     * @param {Object[]} posts - Posts to export
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     */
+    exportManagePosts(posts, format) {
+        if (posts.length === 0) {
+            showAlert('There are no posts to export', 'info');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        exportPosts(posts, format, `posts-${this.currentUser.name}-${date}`);
+    }
+    
+    /**
+     * Show the import modal, ready for a file
+     */
+    showImportModal() {
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal'));
+        
+        document.getElementById('importFile').value = '';
+        document.getElementById('importFile').classList.remove('is-invalid');
+        this.importPlan = [];
+        this.renderImportPlan();
+        
+        modal.show();
+    }
+    
+    /**
+     * Read the chosen export and show what importing it would do, without creating anything
+     * @param {HTMLInputElement} input - File input
+     */
+    async previewImport(input) {
+        const file = input.files[0];
+        this.importPlan = [];
+        input.classList.remove('is-invalid');
+        
+        if (file) {
+            try {
+                const items = parsePostsExport(await file.text());
+                this.importPlan = planImport(items, this.manage.posts);
+            } catch (error) {
+                validateInput(input, false, error.message);
+            }
+        }
+        
+        this.renderImportPlan();
+    }
+    
+    /**
+     * Show each post of the import with what happens or happened to it
+     */
+    renderImportPlan() {
+        const plan = this.importPlan;
+        const toCreate = plan.filter(item => item.status === 'create').length;
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        
+        document.getElementById('importTable').classList.toggle('d-none', plan.length === 0);
+        document.getElementById('importPreview').innerHTML = html`${plan.map(item => {
+            const [badgeClass, label] = IMPORT_STATUS_LABELS[item.status];
+            return html`
+                <tr>
+                    <td>${item.index + 1}</td>
+                    <td>${item.post?.title || html`<em class="text-muted">Untitled</em>`}</td>
+                    <td>${item.post?.tags.join(', ')}</td>
+                    <td>
+                        <span class="badge ${badgeClass}">${label}</span>
+                        ${item.message ? html`<div class="small text-muted">${item.message}</div>` : ''}
+                    </td>
+                </tr>
+            `;
+        })}`;
+        
+        const counts = Object.keys(IMPORT_STATUS_LABELS)
+            .map(status => [status, plan.filter(item => item.status === status).length])
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${IMPORT_STATUS_LABELS[status][1].toLowerCase()}`);
+        document.getElementById('importSummary').textContent = counts.join(', ');
+        
+        confirmBtn.disabled = toCreate === 0;
+        confirmBtn.textContent = `Import ${toCreate} post${toCreate !== 1 ? 's' : ''}`;
+    }
+    
+    /**
+     * Create the posts of the previewed import and report the result of each
+     */
+    async runImport() {
+        // Oldest first, so the imported posts keep their order in the feed
+        const items = this.importPlan
+            .filter(item => item.status === 'create')
+            .sort((a, b) => a.created.localeCompare(b.created));
+        if (items.length === 0) return;
+        
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        const itemsByPost = new Map(items.map(item => [item.post, item]));
+        confirmBtn.disabled = true;
+        
+        const { succeeded, failed } = await this.postsService.bulkCreate(items.map(item => item.post), {
+            onProgress: ({ done, total }) => {
+                confirmBtn.textContent = `Importing ${done}/${total}...`;
+            }
+        });
+        
+        succeeded.forEach(post => Object.assign(itemsByPost.get(post), { status: 'created', message: '' }));
+        failed.forEach(({ item, error }) => Object.assign(itemsByPost.get(item), { status: 'failed', message: error.message }));
+        this.renderImportPlan();
+        
+        showAlert(failed.length === 0
+            ? `Imported ${succeeded.length} post${succeeded.length !== 1 ? 's' : ''}`
+            : `Imported ${succeeded.length}, ${failed.length} failed`, failed.length === 0 ? 'success' : 'warning');
+        
+        // The feed shows these posts too
+        this.feed.page = 0;
+        try {
+            await this.loadManagePosts();
+        } catch (error) {
+            showAlert('Failed to load your posts: ' + error.message, 'danger');
+        }
+    }
+    
+    /**
+     * Run a bulk operation with a progress bar, then report the posts it failed for
+     * @param {string} label - What is being done
+     * @param {Function} run - Called with { onProgress }, returns the bulk results
+     */
+    async runBulkAction(label, run) {
+        const onProgress = this.showBulkProgress(label);
+        
+        try {
+            const { succeeded, failed } = await run({ onProgress });
+            
+            // Only the posts that failed stay selected, ready to try again
+            this.manage.selected = new Set(failed.map(({ item }) => String(item.id ?? item)));
+            this.renderBulkFailures(failed);
+            
+            showAlert(failed.length === 0
+                ? `${label}: done`
+                : `${label}: ${succeeded.length} succeeded, ${failed.length} failed`, failed.length === 0 ? 'success' : 'warning');
+            
+            // The feed shows these posts too
+            this.feed.page = 0;
+            await this.loadManagePosts();
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
+        } finally {
+            this.hideBulkProgress();
+        }
+    }
+    
+    /**
+     * Show the progress bar of a bulk operation, blocking other bulk actions until it is hidden
+     * @param {string} label - What is being done
+     * @returns {Function} Progress callback for runBulk, called with { done, total }
+     */
+    showBulkProgress(label) {
+        const bar = document.getElementById('bulkProgressBar');
+        
+        this.manage.isRunning = true;
+        this.updateBulkToolbar();
+        document.getElementById('bulkFailures').classList.add('d-none');
+        document.getElementById('bulkProgress').classList.remove('d-none');
+        bar.style.width = '0%';
+        document.getElementById('bulkProgressLabel').textContent = label;
+        document.getElementById('bulkProgressCount').textContent = '';
+        
+        return ({ done, total }) => {
+            bar.style.width = `${Math.round((done / total) * 100)}%`;
+            document.getElementById('bulkProgressCount').textContent = `${done}/${total}`;
+        };
+    }
+    
+    /**
+     * Hide the progress bar of a finished bulk operation
+     */
+    hideBulkProgress() {
+        this.manage.isRunning = false;
+        document.getElementById('bulkProgress').classList.add('d-none');
+        this.updateBulkToolbar();
+    }
+    
+    /**
+     * List the posts a bulk operation failed for, with the reason for each
+     * @param {Object[]} failed - Failures shaped { item, error }, item being a post or a post ID
+     */
+    renderBulkFailures(failed) {
+        const failures = document.getElementById('bulkFailures');
+        
+        failures.classList.toggle('d-none', failed.length === 0);
+        failures.innerHTML = html`
+            <div class="alert alert-danger mb-0">
+                <strong>These posts could not be changed:</strong>
+                <ul class="mb-0 mt-1">
+                    ${failed.map(({ item, error }) => {
+                        const post = this.postsById.get(Number(item.id ?? item));
+                        return html`<li>${post?.title || `Post ${item.id ?? item}`}: ${error.message}</li>`;
+                    })}
+                </ul>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the edit profile modal filled with the current profile
+     * @param {Object} profile - Profile data
+     */
+    showProfileModal(profile) {
+        const modal = new bootstrap.Modal(document.getElementById('profileModal'));
+        
+        clearForm('profileForm');
+        document.getElementById('profileBio').value = profile.bio || '';
+        document.getElementById('profileBioCount').textContent = (profile.bio || '').length;
+        document.getElementById('profileAvatarUrl').value = profile.avatar?.url || '';
+        document.getElementById('profileAvatarAlt').value = profile.avatar?.alt || '';
+        document.getElementById('profileBannerUrl').value = profile.banner?.url || '';
+        document.getElementById('profileBannerAlt').value = profile.banner?.alt || '';
+        
+        this.updateImagePreview('avatarPreview', document.getElementById('profileAvatarUrl'), 'https://via.placeholder.com/96');
+        this.updateImagePreview('bannerPreview', document.getElementById('profileBannerUrl'), 'https://via.placeholder.com/600x180');
+        
+        modal.show();
+    }
+    
+    /**
+     * Preview an image URL typed into an input
+     * @param {string} previewId - ID of the preview image element
+     * @param {HTMLInputElement} input - URL input
+     * @param {string} fallback - Image shown when the URL is empty or invalid
+     */
+    updateImagePreview(previewId, input, fallback) {
+        const preview = document.getElementById(previewId);
+        const url = input.value.trim();
+        
+        if (!url) {
+            input.classList.remove('is-valid', 'is-invalid');
+            preview.src = fallback;
+            return;
+        }
+        
+        if (!isValidHttpUrl(url)) {
+            validateInput(input, false, 'Must be a valid http(s) URL');
+            preview.src = fallback;
+            return;
+        }
+        
+        preview.onload = () => validateInput(input, true);
+        preview.onerror = () => {
+            validateInput(input, false, 'Image could not be loaded');
+            preview.onerror = null;
+            preview.src = fallback;
+        };
+        preview.src = url;
+    }
+    
+    /**
+     * Handle saving the current user's profile
+     */
+    async handleSaveProfile() {
+        const bioInput = document.getElementById('profileBio');
+        const avatarInput = document.getElementById('profileAvatarUrl');
+        const bannerInput = document.getElementById('profileBannerUrl');
+        
+        const bio = bioInput.value.trim();
+        const avatarUrl = avatarInput.value.trim();
+        const bannerUrl = bannerInput.value.trim();
+        
+        if (!isValidBio(bio)) {
+            validateInput(bioInput, false, `Bio must be ${BIO_MAX_LENGTH} characters or less`);
+            return;
+        }
+        
+        if (avatarUrl && !isValidHttpUrl(avatarUrl)) {
+            validateInput(avatarInput, false, 'Must be a valid http(s) URL');
+            return;
+        }
+        
+        if (bannerUrl && !isValidHttpUrl(bannerUrl)) {
+            validateInput(bannerInput, false, 'Must be a valid http(s) URL');
+            return;
+        }
+        
+        const profileData = {
+            bio,
+            avatar: avatarUrl ? { url: avatarUrl, alt: document.getElementById('profileAvatarAlt').value } : null,
+            banner: bannerUrl ? { url: bannerUrl, alt: document.getElementById('profileBannerAlt').value } : null
+        };
+        
+        try {
+            showLoading(true);
+            const response = await this.profilesService.updateProfile(this.currentUser.name, profileData);
+            const { bio: savedBio, avatar, banner } = response.data;
+            
+            this.currentUser = this.authService.updateCurrentUser({ bio: savedBio, avatar, banner });
+            this.updateAccountUI();
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('profileModal'));
+            modal.hide();
+            
+            showAlert('Profile updated successfully!', 'success');
+            this.showProfile(this.currentUser.name);
+            
+        } catch (error) {
+            this.showFieldErrors(error, 'profile');
+            showAlert(error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Create a compact list of linked profiles
+     * @param {string} label - List heading
+     * @param {Object[]} profiles - Profiles to list
+     */
+    createProfileListHTML(label, profiles) {
+        if (profiles.length === 0) return '';
+        
+        return html`
+            <div class="profile-list">
+                <h6>${label}</h6>
+                ${profiles.map(profile => html`
+                    <a href="${profileHref(profile.name)}" class="author-link profile-chip">
+                        <img src="${safeUrl(profile.avatar?.url, 'https://via.placeholder.com/24')}" 
+                             alt="${profile.name}" 
+                             onerror="this.src='https://via.placeholder.com/24'">
+                        ${profile.name}
+                    </a>
+                `)}
+            </div>
+        `;
+    }
+    
+    /**
+     * Load the names of the profiles the current user follows
+     */
+    async loadFollowing() {
+        if (!this.currentUser) return;
+        
+        try {
+            const following = await this.profilesService.getFollowing(this.currentUser.name);
+            this.followingNames = new Set(following.map(profile => profile.name));
+            following.forEach(profile => this.updateFollowButtons(profile.name));
+        } catch (error) {
+            console.error('Failed to load followed profiles:', error.message);
+        }
+    }
+    
+    /**
+     * Create a follow/unfollow button for a profile
+     * @param {string} name - Profile name
+     */
+    createFollowButtonHTML(name) {
+        const isFollowing = this.followingNames.has(name);
+        
+        return html`
+            <button class="btn btn-sm ${isFollowing ? 'btn-primary' : 'btn-outline-primary'} follow-btn" 
+                    data-name="${name}">
+                ${createFollowLabelHTML(isFollowing)}
+            </button>
+        `;
+    }
+    
+    /**
+     * Record whether the current user follows a profile and update its buttons
+     * @param {string} name - Profile name
+     * @param {boolean} isFollowing - Whether the profile is followed
+     */
+    setFollowing(name, isFollowing) {
+        if (isFollowing) {
+            this.followingNames.add(name);
+        } else {
+            this.followingNames.delete(name);
+        }
+        this.updateFollowButtons(name);
+    }
+    
+    /**
+     * Update every follow button shown for a profile
+     * @param {string} name - Profile name
+     */
+    updateFollowButtons(name) {
+        const isFollowing = this.followingNames.has(name);
+        
+        document.querySelectorAll('.follow-btn').forEach(btn => {
+            if (btn.dataset.name !== name) return;
+            
+            btn.classList.toggle('btn-primary', isFollowing);
+            btn.classList.toggle('btn-outline-primary', !isFollowing);
+            btn.innerHTML = createFollowLabelHTML(isFollowing);
+        });
+    }
+    
+    /**
+     * Follow or unfollow a profile
+     * @param {string} name - Profile name
+     */
+    async handleFollowToggle(name) {
+        const isFollowing = this.followingNames.has(name);
+        
+        try {
+            showLoading(true);
+            
+            if (isFollowing) {
+                await this.profilesService.unfollow(name);
+            } else {
+                await this.profilesService.follow(name);
+            }
+            
+            this.setFollowing(name, !isFollowing);
+            showAlert(isFollowing ? `Unfollowed ${name}` : `Now following ${name}`, 'success');
+            
+            if (this.currentProfileName === name) {
+                this.refreshActiveView();
+            }
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Reload whichever main view is currently shown
+     */
+    refreshActiveView() {
+        const isVisible = (id) => !document.getElementById(id)?.classList.contains('d-none');
+        
+        if (isVisible('postDetailView') && this.currentDetailPost) {
+            this.showPostDetail(this.currentDetailPost.id);
+        } else if (isVisible('profileView') && this.currentProfileName) {
+            this.showProfile(this.currentProfileName);
+        } else {
+            this.loadPosts();
+        }
+    }
+    
+    /**
+     * Create HTML for a comment and its replies
+     * @param {Object} node - Comment with a nested replies array
+     */
+    createCommentHTML({ comment, replies }) {
+        const { author, owner, body, created, id } = comment;
+        const authorName = author?.name || owner || 'Anonymous';
+        const isOwner = this.currentUser && authorName === this.currentUser.name;
+        
+        return html`
+            <div class="comment" data-id="${id}">
+                <div class="comment-header">
+                    <a href="${profileHref(authorName)}" class="author-link">
+                        <img src="${safeUrl(author?.avatar?.url, 'https://via.placeholder.com/32')}" 
+                             alt="${authorName}" 
+                             onerror="this.src='https://via.placeholder.com/32'">
+                        <strong>${authorName}</strong>
+                    </a>
+                    <span class="post-meta ms-2">${formatDate(created)}</span>
+                </div>
+                <p class="comment-body">${body}</p>
+                <div class="comment-actions">
+                    <button class="btn btn-sm btn-link reply-comment" data-id="${id}">
+                        <i class="fas fa-reply me-1"></i>Reply
+                    </button>
+                    ${isOwner ? html`
+                        <button class="btn btn-sm btn-link text-danger delete-comment" data-id="${id}">
+                            <i class="fas fa-trash me-1"></i>Delete
+                        </button>
+                    ` : ''}
+                </div>
+                ${replies.length > 0 ? html`
+                    <div class="comment-replies">
+                        ${replies.map(reply => this.createCommentHTML(reply))}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Attach event listeners to the comment thread and form
+     * @param {HTMLElement} container - Element holding the post detail
+     */
+    attachCommentEventListeners(container) {
+        container.querySelector('#commentForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddComment();
+        });
+        
+        container.querySelector('#cancelReplyBtn')?.addEventListener('click', () => {
+            this.replyToCommentId = null;
+            this.renderPostDetail();
+        });
+        
+        container.querySelectorAll('.reply-comment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.replyToCommentId = Number(btn.dataset.id);
+                this.renderPostDetail();
+            });
+        });
+        
+        container.querySelectorAll('.delete-comment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handleDeleteComment(btn.dataset.id);
+            });
+        });
+    }
+    
+    /**
+     * Handle adding a comment or reply to the current detail post
+     */
+    async handleAddComment() {
+        const body = document.getElementById('commentBody').value.trim();
+        
+        if (!body) {
+            showAlert('Comment cannot be empty', 'danger');
+            return;
+        }
+        
+        try {
+            showLoading(true);
+            await this.postsService.addComment(this.currentDetailPost.id, {
+                body,
+                replyToId: this.replyToCommentId
+            });
+            
+            await this.showPostDetail(this.currentDetailPost.id);
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Handle deleting one of the current user's comments
+     * @param {string|number} commentId - Comment ID
+     */
+    async handleDeleteComment(commentId) {
+        if (!confirm('Are you sure you want to delete this comment?')) {
+            return;
+        }
+        
+        try {
+            showLoading(true);
+            await this.postsService.deleteComment(this.currentDetailPost.id, commentId);
+            showAlert('Comment deleted', 'success');
+            
+            await this.showPostDetail(this.currentDetailPost.id);
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    /**
+     * Show post modal for creating or editing, restoring an autosaved draft if there is one
+     * @param {Object|null} post - Post to edit, or null for a new post
+     * @param {Object} options - Modal options
+     * @param {string} options.draftId - Draft to restore (default: 'new' or the post ID)
+     * @param {Object|null} options.original - Post as loaded from the API, which changes are
+     *     compared with (default: the post; null sends the full post data)
+     */
+    showPostModal(post = null, { draftId, original = post } = {}) {
+        const modal = new bootstrap.Modal(document.getElementById('postModal'));
+        const modalTitle = document.getElementById('postModalTitle');
+        this.editingOutboxId = null;
+        this.composerPost = post;
+        this.originalPost = original;
+        this.currentDraftId = draftId || (post ? String(post.id) : 'new');
+        this.toggleChangesReview(false);
+        
+        if (post) {
+            // Edit mode
+            modalTitle.textContent = 'Edit Post';
+            this.currentPostId = post.id;
+            this.isEditMode = true;
+        } else {
+            // Create mode
+            modalTitle.textContent = 'Create Post';
+            this.currentPostId = null;
+            this.isEditMode = false;
+        }
+        
+        this.fillPostForm(post);
+        this.restoreDraft();
+        
+        modal.show();
+    }
+    
+    /**
+     * Fill the post form with a post, or empty it
+     * @param {Object|null} post - Post data
+     */
+    fillPostForm(post) {
+        if (post) {
+            document.getElementById('postTitle').value = post.title;
+            document.getElementById('postBody').value = post.body || '';
+            document.getElementById('postTags').value = post.tags?.join(', ') || '';
+            document.getElementById('postMedia').value = post.media?.url || '';
+            document.getElementById('postMediaAlt').value = post.media?.alt || '';
+        } else {
+            clearForm('postForm');
+        }
+        
+        this.updateComposerPreview();
+        this.updateMediaPreview();
+    }
+    
+    /**
+     * Check the media URL in the composer and show a thumbnail with the description field
+     * Offline, only the URL format is checked
+     * @returns {Promise<boolean>} True if there is no media or it is an image
+     */
+    async updateMediaPreview() {
+        const input = document.getElementById('postMedia');
+        const fields = document.getElementById('postMediaFields');
+        const preview = document.getElementById('postMediaPreview');
+        const url = input.value.trim();
+        
+        if (!url) {
+            input.classList.remove('is-valid', 'is-invalid');
+            fields.classList.add('d-none');
+            return true;
+        }
+        
+        const { valid, message } = navigator.onLine
+            ? await checkImageUrl(url)
+            : { valid: isValidHttpUrl(url), message: 'Must be a valid http(s) URL' };
+        
+        // Another URL was typed while this one was checked
+        if (input.value.trim() !== url) return valid;
+        
+        validateInput(input, valid, message);
+        fields.classList.toggle('d-none', !valid);
+        preview.src = valid ? url : '';
+        return valid;
+    }
+    
+    /**
+     * Show post media full size
+     * @param {string} url - Image URL
+     * @param {string} alt - Image description
+     */
+    showLightbox(url, alt) {
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('mediaLightbox'));
+        const image = document.getElementById('lightboxImage');
+        
+        image.src = url;
+        image.alt = alt;
+        document.getElementById('lightboxCaption').textContent = alt;
+        
+        modal.show();
+    }
+    
+    /**
+     * Render the post content as it will appear in the feed
+     */
+    updateComposerPreview() {
+        const body = document.getElementById('postBody').value;
+        
+        document.getElementById('postBodyPreview').innerHTML = body.trim()
+            ? renderMarkdown(body)
+            : html`<p class="text-muted mb-0">Nothing to preview yet.</p>`;
+    }
+    
+    /**
+     * Wrap the selected text in markdown, or prefix the selected lines
+     * @param {string} format - Format name (see MARKDOWN_FORMATS)
+     */
+    applyFormat(format) {
+        const textarea = document.getElementById('postBody');
+        const { before = '', after = '', placeholder = '', prefix } = MARKDOWN_FORMATS[format] || {};
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        
+        if (prefix) {
+            const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+            const lines = value.slice(lineStart, end).split('\n');
+            textarea.setRangeText(lines.map(line => prefix + line).join('\n'), lineStart, end, 'end');
+        } else {
+            const selected = value.slice(start, end) || placeholder;
+            textarea.setRangeText(before + selected + after, start, end);
+            textarea.setSelectionRange(start + before.length, start + before.length + selected.length);
+        }
+        
+        textarea.focus();
+        
+        // Update the preview and the draft like typing does
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Read the post form fields as typed
+     * @returns {Object} Fields shaped { title, body, tags, media, mediaAlt }
+     */
+    getPostFormFields() {
+        return {
+            title: document.getElementById('postTitle').value,
+            body: document.getElementById('postBody').value,
+            tags: document.getElementById('postTags').value,
+            media: document.getElementById('postMedia').value,
+            mediaAlt: document.getElementById('postMediaAlt').value
+        };
+    }
+    
+    /**
+     * Autosave the post form for the current user
+     */
+    saveDraft() {
+        if (!this.currentUser || !this.currentDraftId) return;
+        
+        this.drafts.save(this.currentUser.name, this.currentDraftId, this.getPostFormFields());
+    }
+    
+    /**
+     * Fill the post form from the autosaved draft, if there is one
+     */
+    restoreDraft() {
+        const draft = this.currentUser ? this.drafts.get(this.currentUser.name, this.currentDraftId) : null;
+        
+        document.getElementById('draftNotice').classList.toggle('d-none', !draft);
+        if (!draft) return;
+        
+        document.getElementById('postTitle').value = draft.title;
+        document.getElementById('postBody').value = draft.body;
+        document.getElementById('postTags').value = draft.tags;
+        document.getElementById('postMedia').value = draft.media;
+        document.getElementById('postMediaAlt').value = draft.mediaAlt ?? '';
+        document.getElementById('draftSavedAt').textContent = formatDate(draft.savedAt);
+        
+        this.updateComposerPreview();
+        this.updateMediaPreview();
+    }
+    
+    /**
+     * Throw away the autosaved draft and go back to the post being edited
+     */
+    discardDraft() {
+        if (this.currentUser) {
+            this.drafts.remove(this.currentUser.name, this.currentDraftId);
+        }
+        
+        this.fillPostForm(this.composerPost);
+        document.getElementById('draftNotice').classList.add('d-none');
+    }
+    
+    /**
+     * Handle saving post (create or update)
+     * Changes to existing posts are listed for confirmation first
+     */
+    async handleSavePost() {
+        if (this.reviewedChanges) {
+            await this.savePost(this.reviewedChanges);
+            return;
+        }
+        
+        const title = document.getElementById('postTitle').value.trim();
+        const body = document.getElementById('postBody').value.trim();
+        const tagsInput = document.getElementById('postTags').value.trim();
+        const media = document.getElementById('postMedia').value.trim();
+        const mediaAltInput = document.getElementById('postMediaAlt');
+        const mediaAlt = mediaAltInput.value.trim();
+        
+        if (!title || !body) {
+            showAlert('Title and content are required', 'danger');
+            return;
+        }
+        
+        showLoading(true);
+        const isMediaValid = await this.updateMediaPreview();
+        showLoading(false);
+        
+        // The media input explains what is wrong with the URL
+        if (!isMediaValid) return;
+        
+        if (media && !mediaAlt) {
+            validateInput(mediaAltInput, false, 'Describe the image for people using screen readers');
+            return;
+        }
+        
+        const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+        const postData = { title, body, tags, media: media ? { url: media, alt: mediaAlt } : null };
+        
+        if (!this.originalPost) {
+            await this.savePost(postData);
+            return;
+        }
+        
+        const changes = getPostChanges(this.originalPost, postData);
+        if (Object.keys(changes).length === 0) {
+            showAlert('There are no changes to save', 'info');
+            return;
+        }
+        
+        this.showChangesReview(changes);
+    }
+    
+    /**
+     * Create, update or queue the post in the composer
+     * @param {Object} postData - Full post data for new posts, the changed fields for updates
+     */
+    async savePost(postData) {
+        try {
+            showLoading(true);
+            
+            if (this.editingOutboxId !== null) {
+                await this.outbox.updateEntry(this.editingOutboxId, postData);
+                showAlert('Queued post updated', 'success');
+                this.syncOutbox();
+            } else if (this.isEditMode && this.currentPostId) {
+                const postId = this.currentPostId;
+                const sent = await this.saveOrQueue(
+                    () => this.postsService.updatePost(postId, postData),
+                    () => this.outbox.queueUpdate(postId, postData, this.originalPost?.title)
+                );
+                showAlert(sent
+                    ? 'Post updated successfully!'
+                    : "You're offline. Your changes will be saved when you reconnect.", sent ? 'success' : 'warning');
+            } else {
+                const sent = await this.saveOrQueue(
+                    () => this.postsService.createPost(postData),
+                    () => this.outbox.queueCreate(postData)
+                );
+                showAlert(sent
+                    ? 'Post created successfully!'
+                    : "You're offline. Your post will be published when you reconnect.", sent ? 'success' : 'warning');
+            }
+            
+            // The post is saved or queued, so its draft is no longer needed
+            this.drafts.remove(this.currentUser.name, this.currentDraftId);
+            
+            // Close modal and refresh posts
+            const modal = bootstrap.Modal.getInstance(document.getElementById('postModal'));
+            modal.hide();
+            
+            this.refreshActiveView();
+            
+        } catch (error) {
+            showAlert(error.message, 'danger');
         } finally {
             showLoading(false);
         }
     }
     
+    /**
+     * List the changed fields next to their loaded values, replacing the form until confirmed
+     * @param {Object} changes - Changed fields (see getPostChanges)
+     */
+    showChangesReview(changes) {
+        this.reviewedChanges = changes;
+        
+        document.getElementById('postChangesList').innerHTML = html`${Object.keys(changes).map(field => html`
+            <tr>
+                <th scope="row">${POST_FIELD_LABELS[field]}</th>
+                <td class="change-before">${describePostField(field, this.originalPost[field])}</td>
+                <td class="change-after">${describePostField(field, changes[field])}</td>
+            </tr>
+        `)}`;
+        
+        this.toggleChangesReview(true);
+    }
+    
+    /**
+     * Switch the post modal between the form and the list of changes
+     * @param {boolean} isReviewing - Whether to show the list of changes
+     */
+    toggleChangesReview(isReviewing) {
+        if (!isReviewing) {
+            this.reviewedChanges = null;
+        }
+        
+        document.getElementById('postForm').classList.toggle('d-none', isReviewing);
+        document.getElementById('postChangesReview').classList.toggle('d-none', !isReviewing);
+        document.getElementById('backToEditBtn').classList.toggle('d-none', !isReviewing);
+        document.getElementById('savePostBtn').textContent = isReviewing ? 'Confirm Changes' : 'Save Post';
+    }
+    
+    /**
+     * Load a post as the API has it now, using the copy already loaded when that fails
+     * @param {number|string} postId - Post ID
+     * @returns {Promise<Object>} Post data
+     */
+    async loadPostForEdit(postId) {
+        try {
+            // The cached copy may be minutes old, and changes are worked out against this one
+            const response = await this.postsService.getPostById(postId, { fresh: true });
+            return response.data;
+        } catch (error) {
+            const loadedPost = this.postsById.get(Number(postId));
+            if (loadedPost) return loadedPost;
+            throw error;
+        }
+    }
+    
     /**
      * Edit post
      */
     async editPost(postId) {
         try {
             showLoading(true);
-            const response = await this.postsService.getPostById(postId);
-            const post = response.data;
+            const post = await this.loadPostForEdit(postId);
             
             this.showPostModal(post);
             
@@ -423,38 +2711,192 @@ class SocialMediaApp {
     }
     
     /**
-     * Delete post
+     * Delete post once the undo window runs out, hiding it straight away
+     */
+    deletePost(postId) {
+        const title = this.postsById.get(Number(postId))?.title || this.currentDetailPost?.title || '';
+        
+        this.deletes.schedule([{ postId, title }]);
+        this.togglePostCards(postId, false);
+        showAlert('Post deleted.', 'info', UNDO_DELETE_MS, {
+            actions: [{ label: 'Undo', onClick: () => this.undoDelete([postId]) }]
+        });
+        
+        if (String(this.currentDetailPost?.id) === String(postId)) {
+            this.currentDetailPost = null;
+            this.feed.page = 0;
+            this.router.navigate(this.lastFeedPath);
+        }
+    }
+    
+    /**
+     * Bring back posts whose delete hasn't been sent
+     * @param {Array<number|string>} postIds - Post IDs
      */
-    async deletePost(postId) {
-        if (!confirm('Are you sure you want to delete this post?')) {
+    undoDelete(postIds) {
+        if (!this.deletes.cancel(postIds)) {
+            showAlert(postIds.length === 1 ? 'The post was already deleted' : 'The posts were already deleted', 'warning');
             return;
         }
         
+        postIds.forEach(postId => this.togglePostCards(postId, true));
+        this.restoreManagePosts(postIds);
+        showAlert(postIds.length === 1 ? 'Post restored' : `${postIds.length} posts restored`, 'success');
+    }
+    
+    /**
+     * Send the deletes of an undo window that ran out, queueing them while offline
+     * @param {Object[]} entries - Pending deletes shaped { postId, title, account }
+     * @param {Object} options - Send options
+     * @param {boolean} options.keepalive - Let the requests finish after the page is closed
+     * @param {boolean} options.isFlush - Request every delete at once, before the page closes or another account becomes active
+     */
+    async sendDeletes(entries, { keepalive = false, isFlush = false } = {}) {
+        const byId = new Map(entries.map(entry => [entry.postId, entry]));
+        
+        // Posts deleted together from the manage list show their progress there, like other bulk actions
+        const showsProgress = entries.length > 1 && !isFlush && navigator.onLine && !this.manage.isRunning;
+        const onProgress = showsProgress
+            ? this.showBulkProgress(`Deleting ${entries.length} posts`)
+            : undefined;
+        
+        let failed;
         try {
-            showLoading(true);
-            await this.postsService.deletePost(postId);
-            showAlert('Post deleted successfully!', 'success');
-            this.loadPosts();
-            
-        } catch (error) {
-            showAlert('Failed to delete post: ' + error.message, 'danger');
+            ({ failed } = navigator.onLine
+                ? await this.postsService.bulkDelete([...byId.keys()], {
+                    keepalive,
+                    concurrency: isFlush ? entries.length : undefined,
+                    onProgress
+                })
+                : { failed: entries.map(({ postId }) => ({ item: postId, error: { isNetworkError: true } })) });
         } finally {
-            showLoading(false);
+            if (showsProgress) this.hideBulkProgress();
+        }
+        
+        const queued = [];
+        const rejected = [];
+        
+        for (const { item, error } of failed) {
+            const { postId, title, account } = byId.get(item);
+            
+            // Deleted somewhere else in the meantime
+            if (error.status === 404) continue;
+            byId.delete(item);
+            
+            try {
+                if (!error.isNetworkError) throw error;
+                
+                // The deletes may be flushed while another account becomes active,
+                // so they are queued for the account that made them
+                await this.outbox.queueDelete(postId, title, account);
+                queued.push(postId);
+            } catch (queueError) {
+                rejected.push({ item: postId, error: queueError });
+            }
+        }
+        
+        byId.forEach((entry, postId) => {
+            this.postsById.delete(Number(postId));
+            document.querySelectorAll(`.post-card[data-post-id="${postId}"]`).forEach(card => card.remove());
+        });
+        
+        if (queued.length > 0) {
+            await this.refreshOutbox();
+            showAlert(queued.length === 1
+                ? "You're offline. The post will be deleted when you reconnect."
+                : `You're offline. ${queued.length} posts will be deleted when you reconnect.`, 'warning');
+        }
+        
+        if (rejected.length > 0) {
+            this.restoreFailedDeletes(rejected, entries);
+        }
+    }
+    
+    /**
+     * Show posts again whose delete the server refused
+     * @param {Object[]} rejected - Failures shaped { item: postId, error }
+     * @param {Object[]} entries - Pending deletes the failures came from
+     */
+    restoreFailedDeletes(rejected, entries) {
+        rejected.forEach(({ item }) => this.togglePostCards(item, true));
+        
+        if (rejected.length === 1) {
+            const { title } = entries.find(entry => entry.postId === rejected[0].item);
+            showAlert(`Failed to delete "${title || 'Untitled post'}": ${rejected[0].error.message}`, 'danger');
+        } else {
+            showAlert(`${rejected.length} posts could not be deleted`, 'danger');
+        }
+        
+        // Failed posts are selected, ready to try again, unless another account is shown by now
+        if (this.currentUser?.name !== entries[0].account) return;
+        if (this.restoreManagePosts(rejected.map(({ item }) => item), { select: true })) {
+            this.renderBulkFailures(rejected);
         }
     }
     
+    /**
+     * Put posts back in the manage list without reloading it,
+     * since their deletes are still pending until they settle
+     * @param {Array<number|string>} postIds - Post IDs
+     * @param {Object} options - Restore options
+     * @param {boolean} options.select - Select the restored posts
+     * @returns {boolean} Whether any post was put back
+     */
+    restoreManagePosts(postIds, { select = false } = {}) {
+        const listed = new Set(this.manage.posts.map(post => String(post.id)));
+        const restored = postIds
+            .map(postId => this.postsById.get(Number(postId)))
+            .filter(post => post && !listed.has(String(post.id)));
+        
+        if (restored.length === 0) return false;
+        
+        this.manage.posts = [...this.manage.posts, ...restored]
+            .sort((a, b) => new Date(b.created) - new Date(a.created));
+        if (select) restored.forEach(post => this.manage.selected.add(String(post.id)));
+        this.renderManagePosts();
+        return true;
+    }
+    
+    /**
+     * Show or hide every rendered card of a post
+     * @param {number|string} postId - Post ID
+     * @param {boolean} isVisible - Whether the cards are shown
+     */
+    togglePostCards(postId, isVisible) {
+        document.querySelectorAll(`.post-card[data-post-id="${postId}"]`).forEach(card => {
+            card.classList.toggle('d-none', !isVisible);
+        });
+    }
+    
     /**
      * Handle search
+     * @param {string} query - Search text
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the history entry (default: true while typing)
      */
-    handleSearch(query) {
-        this.loadPosts({ search: query });
+    handleSearch(query, { replace = true } = {}) {
+        this.navigateToFeed({ search: query.trim() }, { replace });
     }
     
     /**
      * Handle filter
      */
     handleFilter(filter) {
-        this.loadPosts({ filter });
+        this.navigateToFeed({ filter });
+    }
+    
+    /**
+     * Mark the form inputs that an API error refers to
+     * @param {ApiError} error - Error thrown by the HTTP client
+     * @param {string} prefix - Input ID prefix of the form (e.g. 'register')
+     */
+    showFieldErrors(error, prefix) {
+        Object.entries(error.fieldErrors || {}).forEach(([field, message]) => {
+            const input = document.getElementById(`${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+            if (input) {
+                validateInput(input, false, message);
+            }
+        });
     }
     
     /**
@@ -472,6 +2914,217 @@ class SocialMediaApp {
     }
 }
 
+/**
+ * Build the link to a profile page
+ * @param {string} name - Profile name
+ * @returns {string} Hash link, or # when there is no name
+ */
+function profileHref(name) {
+    return name ? `#/profiles/${encodeURIComponent(name)}` : '#';
+}
+
+/**
+ * Read a feed query from route query parameters
+ * @param {Object} query - Route query (see FEED_QUERY_PARAMS)
+ * @returns {Object} Feed query with every field, empty when not set
+ */
+function parseFeedQuery(query = {}) {
+    return Object.fromEntries(Object.entries(FEED_QUERY_PARAMS)
+        .map(([key, param]) => [key, query[param] || '']));
+}
+
+/**
+ * Check a post against the filters of a feed query
+ * @param {Object} post - Post data
+ * @param {Object} feedQuery - Feed query
+ * @param {Object} options - Match options
+ * @param {boolean} options.checkText - Match the search text too, when the API didn't search
+ * @returns {boolean} True if the post matches
+ */
+function matchesFeedQuery(post, { search, tag, author, from, to, media }, { checkText = false } = {}) {
+    if (checkText && search) {
+        const text = `${post.title || ''} ${post.body || ''}`.toLowerCase();
+        if (!text.includes(search.toLowerCase())) return false;
+    }
+    
+    if (tag && !(post.tags || []).includes(tag)) return false;
+    if (author && post.author && post.author.name.toLowerCase() !== author.toLowerCase()) return false;
+    if (media && !safeUrl(post.media?.url)) return false;
+    
+    const created = new Date(post.created);
+    if (from && created < startOfDay(from)) return false;
+    if (to && created > endOfDay(to)) return false;
+    
+    return true;
+}
+
+/**
+ * Whether a page of posts already went past the date range, so later pages can't match
+ * @param {Object[]} posts - Page of posts in API order
+ * @param {Object} feedQuery - Feed query
+ * @returns {boolean} True if no later page can match
+ */
+function isPastDateRange(posts, { from, to, sort }) {
+    const lastPost = posts[posts.length - 1];
+    if (!lastPost) return false;
+    
+    const created = new Date(lastPost.created);
+    const isOldestFirst = SORT_OPTIONS[sort]?.sortOrder === 'asc';
+    
+    return isOldestFirst
+        ? Boolean(to) && created > endOfDay(to)
+        : Boolean(from) && created < startOfDay(from);
+}
+
+/**
+ * @param {string} day - Date as YYYY-MM-DD
+ * @returns {Date} Local midnight at the start of the day
+ */
+function startOfDay(day) {
+    return new Date(`${day}T00:00:00`);
+}
+
+/**
+ * @param {string} day - Date as YYYY-MM-DD
+ * @returns {Date} Last moment of the day in local time
+ */
+function endOfDay(day) {
+    return new Date(`${day}T23:59:59.999`);
+}
+
+/**
+ * Compare the post data from the form with the post as loaded
+ * @param {Object} original - Post from the API
+ * @param {Object} edited - Post data shaped { title, body, tags, media }
+ * @returns {Object} Changed fields only, with media null when it was removed
+ */
+function getPostChanges(original, edited) {
+    const changes = {};
+    const originalMedia = original.media?.url ? original.media : null;
+    
+    if (edited.title !== (original.title || '').trim()) changes.title = edited.title;
+    if (edited.body !== (original.body || '').trim()) changes.body = edited.body;
+    if (edited.tags.join(',') !== (original.tags || []).join(',')) changes.tags = edited.tags;
+    if (edited.media?.url !== originalMedia?.url || edited.media?.alt !== originalMedia?.alt) {
+        changes.media = edited.media;
+    }
+    
+    return changes;
+}
+
+/**
+ * Describe a post field value for the list of changes
+ * @param {string} field - 'title', 'body', 'tags' or 'media'
+ * @param {*} value - Field value
+ * @returns {SafeHTML|string} Field value as shown
+ */
+function describePostField(field, value) {
+    if (field === 'tags') {
+        return value?.length ? value.join(', ') : html`<em class="text-muted">No tags</em>`;
+    }
+    
+    if (field === 'media') {
+        return value?.url ? html`${value.url}<br><small class="text-muted">${value.alt}</small>` : html`<em class="text-muted">No media</em>`;
+    }
+    
+    return value || html`<em class="text-muted">Empty</em>`;
+}
+
+/**
+ * @param {Object} post - Post data
+ * @returns {number} Total number of reactions
+ */
+function countReactions(post) {
+    return (post.reactions || []).reduce((total, reaction) => total + (reaction.count || 0), 0);
+}
+
+/**
+ * @param {Object} post - Post data
+ * @returns {number} Number of comments
+ */
+function countComments(post) {
+    return post._count?.comments ?? (post.comments || []).length;
+}
+
+/**
+ * Build the link to the feed filtered by a tag
+ * @param {string} tag - Tag name
+ * @returns {string} Hash link
+ */
+function tagHref(tag) {
+    return `#${buildPath('/feed', { tag })}`;
+}
+
+/**
+ * Count how often each tag is used and return the most used ones
+ * @param {Object[]} posts - Posts with tags arrays
+ * @param {number} limit - Maximum number of tags
+ * @returns {Object[]} Tags shaped { tag, count }, most used first
+ */
+function getTrendingTags(posts, limit) {
+    const counts = new Map();
+    posts.forEach(post => {
+        // Count a tag once per post, even if it is listed twice
+        new Set((post.tags || []).map(tag => tag.trim()).filter(Boolean)).forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+    });
+    
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+}
+
+/**
+ * Create the icon and label of a follow button
+ * @param {boolean} isFollowing - Whether the profile is followed
+ * @returns {SafeHTML} Button content HTML
+ */
+function createFollowLabelHTML(isFollowing) {
+    return isFollowing
+        ? html`<i class="fas fa-user-check me-1"></i>Following`
+        : html`<i class="fas fa-user-plus me-1"></i>Follow`;
+}
+
+/**
+ * Nest comments under the comment they reply to
+ * Replies to comments that no longer exist, and replies whose chain loops back
+ * to themselves, are shown at the top level
+ * @param {Object[]} comments - Flat list of comments from the API
+ * @returns {Object[]} Top-level nodes shaped { comment, replies }
+ */
+function buildCommentTree(comments) {
+    const nodes = new Map();
+    comments.forEach(comment => nodes.set(comment.id, { comment, replies: [] }));
+    
+    const roots = [];
+    const byCreated = (a, b) => new Date(a.comment.created) - new Date(b.comment.created);
+    
+    // A loop of replies has no top-level comment to hang from, so its comments go to the top level
+    const isInCycle = (node) => {
+        const visited = new Set();
+        for (let current = nodes.get(node.comment.replyToId); current; current = nodes.get(current.comment.replyToId)) {
+            if (current === node) return true;
+            if (visited.has(current)) return false;
+            visited.add(current);
+        }
+        return false;
+    };
+    
+    nodes.forEach(node => {
+        const parent = nodes.get(node.comment.replyToId);
+        if (parent && !isInCycle(node)) {
+            parent.replies.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    
+    nodes.forEach(node => node.replies.sort(byCreated));
+    return roots.sort(byCreated);
+}
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new SocialMediaApp();
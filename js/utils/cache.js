@@ -0,0 +1,199 @@
+/**
+ * In-memory stale-while-revalidate cache for API responses
+ */
+
+// Responses younger than this are served without asking the API
+const DEFAULT_FRESH_MS = 30 * 1000;
+
+// Older responses are refetched before they are served
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Response cache with request deduplication
+ * Fresh entries are served directly, stale ones are served while a background
+ * request refreshes them, and identical requests in flight share one promise
+ * @class RequestCache
+ *
+ * @example
+ * const cache = new RequestCache();
+ * const response = await cache.get('post:42', (signal) => httpClient.get('/social/posts/42', { signal }), {
+ *     meta: { postId: 42 }
+ * });
+ * cache.invalidate(meta => meta.postId === 42);
+ */
+export class RequestCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.freshMs - How long a response is served without revalidating
+     * @param {number} options.maxAgeMs - How long a stale response may still be served
+     * @param {number} options.maxEntries - Number of responses kept, least recently used go first
+     */
+    constructor({ freshMs = DEFAULT_FRESH_MS, maxAgeMs = DEFAULT_MAX_AGE_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.freshMs = freshMs;
+        this.maxAgeMs = maxAgeMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.inflight = new Map();
+    }
+
+    /**
+     * Get a response from the cache or fetch it
+     * @param {string} key - Cache key describing the request
+     * @param {Function} fetcher - Called with an AbortSignal, returns a promise for the response
+     * @param {Object} options - Request options
+     * @param {Object} options.meta - Data describing the response, passed to invalidate() predicates
+     * @param {AbortSignal} options.signal - Stops waiting for the response; the request itself
+     *     is only cancelled once every caller sharing it has stopped waiting
+     * @returns {Promise<*>} Cached or fetched response
+     * @throws {DOMException} Throws an AbortError if the signal aborts
+     */
+    async get(key, fetcher, { meta = {}, signal } = {}) {
+        const entry = this.entries.get(key);
+        const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (age < this.freshMs) {
+            this.touch(key, entry);
+            return entry.data;
+        }
+
+        if (age < this.maxAgeMs) {
+            this.touch(key, entry);
+            // A failed revalidation keeps the stale response
+            this.fetch(key, fetcher, meta).catch(() => {});
+            return entry.data;
+        }
+
+        return this.fetch(key, fetcher, meta, signal);
+    }
+
+    /**
+     * Fetch a response and store it, sharing the request with identical callers
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - Called with an AbortSignal, returns a promise for the response
+     * @param {Object} meta - Data describing the response
+     * @param {AbortSignal} signal - Stops this caller waiting
+     * @returns {Promise<*>} Fetched response
+     */
+    fetch(key, fetcher, meta, signal) {
+        let pending = this.inflight.get(key);
+
+        if (!pending) {
+            const controller = new AbortController();
+            const isCurrent = () => this.inflight.get(key) === pending;
+
+            pending = { meta, controller, waiters: 0 };
+            pending.request = Promise.resolve()
+                .then(() => fetcher(controller.signal))
+                .then((data) => {
+                    // Responses invalidated while running may be outdated, and offline copies are not fresh
+                    if (isCurrent() && !data?.fromCache) {
+                        this.set(key, data, meta);
+                    }
+                    return data;
+                })
+                .finally(() => {
+                    if (isCurrent()) {
+                        this.inflight.delete(key);
+                    }
+                });
+
+            // Callers handle failures themselves; this keeps a request nobody waits for quiet
+            pending.request.catch(() => {});
+            this.inflight.set(key, pending);
+        }
+
+        return this.wait(key, pending, signal);
+    }
+
+    /**
+     * Wait for a shared request until it settles or the caller's signal aborts
+     * @param {string} key - Cache key
+     * @param {Object} pending - In-flight request
+     * @param {AbortSignal} signal - Stops this caller waiting
+     * @returns {Promise<*>} Fetched response
+     */
+    wait(key, pending, signal) {
+        pending.waiters++;
+        if (!signal) return pending.request;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pending.waiters--;
+                if (pending.waiters === 0) {
+                    pending.controller.abort(signal.reason);
+                    if (this.inflight.get(key) === pending) {
+                        this.inflight.delete(key);
+                    }
+                }
+                reject(signal.reason);
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            pending.request.then((data) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(data);
+            }, (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key
+     * @param {*} data - Response
+     * @param {Object} meta - Data describing the response
+     */
+    set(key, data, meta = {}) {
+        this.touch(key, { data, meta, fetchedAt: Date.now() });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every entry the predicate matches, and forget matching requests in flight
+     * @param {Function} predicate - Called with an entry's meta and response
+     *     (the response is undefined for requests still in flight)
+     */
+    invalidate(predicate) {
+        this.entries.forEach((entry, key) => {
+            if (predicate(entry.meta, entry.data)) {
+                this.entries.delete(key);
+            }
+        });
+
+        this.inflight.forEach(({ meta }, key) => {
+            if (predicate(meta, undefined)) {
+                this.inflight.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Drop everything, e.g. when another account becomes active
+     */
+    clear() {
+        this.entries.clear();
+        this.inflight.clear();
+    }
+
+    /**
+     * Mark an entry as most recently used
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+}
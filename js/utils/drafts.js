@@ -0,0 +1,80 @@
+/**
+ * Autosaved post drafts, kept per user so nothing typed in the composer is lost
+ */
+
+import { persistentStorage, readJSON, sessionOnlyStorage, writeJSON } from './storage.js';
+
+const DRAFTS_KEY = 'postDrafts';
+
+/**
+ * Post drafts keyed by user and by what is being written
+ * ('new' for a new post, or the ID of the post being edited)
+ * Drafts of users who aren't remembered are kept for the browser session only
+ * @class DraftStore
+ *
+ * @example
+ * const drafts = new DraftStore({ isRemembered: name => authService.isRemembered(name) });
+ * drafts.save('alice', 'new', { title: 'Hello', body: '**Hi**' });
+ * const draft = drafts.get('alice', 'new');
+ */
+export class DraftStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Object} options.persistent - Backend for remembered users (default: localStorage)
+     * @param {Object} options.session - Backend for session-only users (default: sessionStorage)
+     * @param {Function} options.isRemembered - Called with a profile name, true if the user is remembered
+     */
+    constructor({ persistent = persistentStorage, session = sessionOnlyStorage, isRemembered = () => true } = {}) {
+        this.persistent = persistent;
+        this.session = session;
+        this.isRemembered = isRemembered;
+    }
+
+    /**
+     * Get a saved draft
+     * @param {string} userName - Profile name
+     * @param {string} draftId - 'new' or a post ID
+     * @returns {Object|null} Draft fields with savedAt, or null
+     */
+    get(userName, draftId) {
+        return readJSON(this.storageFor(userName), DRAFTS_KEY, {})[userName]?.[draftId] || null;
+    }
+
+    /**
+     * Save a draft, replacing the previous one
+     * @param {string} userName - Profile name
+     * @param {string} draftId - 'new' or a post ID
+     * @param {Object} fields - Form fields (title, body, tags, media)
+     */
+    save(userName, draftId, fields) {
+        const storage = this.storageFor(userName);
+        const drafts = readJSON(storage, DRAFTS_KEY, {});
+        drafts[userName] = { ...drafts[userName], [draftId]: { ...fields, savedAt: new Date().toISOString() } };
+        writeJSON(storage, DRAFTS_KEY, drafts);
+    }
+
+    /**
+     * Delete a draft, e.g. once the post was saved
+     * @param {string} userName - Profile name
+     * @param {string} draftId - 'new' or a post ID
+     */
+    remove(userName, draftId) {
+        const storage = this.storageFor(userName);
+        const drafts = readJSON(storage, DRAFTS_KEY, {});
+        if (!drafts[userName]?.[draftId]) return;
+
+        delete drafts[userName][draftId];
+        if (Object.keys(drafts[userName]).length === 0) {
+            delete drafts[userName];
+        }
+        writeJSON(storage, DRAFTS_KEY, drafts);
+    }
+
+    /**
+     * @param {string} userName - Profile name
+     * @returns {Object} Storage backend for the user's drafts
+     */
+    storageFor(userName) {
+        return this.isRemembered(userName) ? this.persistent : this.session;
+    }
+}
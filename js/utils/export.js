@@ -0,0 +1,154 @@
+/**
+ * Turning posts into files the user can download, as JSON, CSV or Markdown
+ */
+
+// Post fields kept in JSON exports
+const EXPORTED_FIELDS = ['id', 'title', 'body', 'tags', 'media', 'created', 'updated', 'comments', 'reactions'];
+
+// CSV columns and how each is read from a post
+const CSV_COLUMNS = [
+    ['id', post => post.id],
+    ['title', post => post.title],
+    ['body', post => post.body],
+    ['tags', post => (post.tags || []).join(', ')],
+    ['media_url', post => post.media?.url],
+    ['media_alt', post => post.media?.alt],
+    ['created', post => post.created],
+    ['updated', post => post.updated],
+    ['comments', post => post._count?.comments ?? (post.comments || []).length],
+    ['reactions', post => describeReactions(post.reactions)]
+];
+
+// Export formats by name
+export const EXPORT_FORMATS = {
+    json: { extension: 'json', type: 'application/json', serialize: postsToJSON },
+    csv: { extension: 'csv', type: 'text/csv', serialize: postsToCSV },
+    markdown: { extension: 'md', type: 'text/markdown', serialize: postsToMarkdown }
+};
+
+/**
+ * Download posts as a file
+ * @param {Object[]} posts - Posts from the API, with comments and reactions
+ * @param {string} format - 'json', 'csv' or 'markdown'
+ * @param {string} name - File name without the extension
+ *
+ * @example
+ * exportPosts(posts, 'csv', 'posts-alice-2024-05-01');
+ */
+export function exportPosts(posts, format, name) {
+    const { extension, type, serialize } = EXPORT_FORMATS[format];
+    downloadFile(`${name}.${extension}`, serialize(posts), type);
+}
+
+/**
+ * Serialize posts as a JSON document, the format the import reads
+ * @param {Object[]} posts - Posts from the API
+ * @returns {string} JSON shaped { exportedAt, posts }
+ */
+export function postsToJSON(posts) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        posts: posts.map(pickExportedFields)
+    }, null, 2);
+}
+
+/**
+ * Serialize posts as CSV, one row per post with comment and reaction totals
+ * @param {Object[]} posts - Posts from the API
+ * @returns {string} CSV with a header row
+ */
+export function postsToCSV(posts) {
+    const rows = [
+        CSV_COLUMNS.map(([name]) => name),
+        ...posts.map(post => CSV_COLUMNS.map(([, read]) => read(post)))
+    ];
+
+    return rows.map(row => row.map(toCSVCell).join(',')).join('\r\n');
+}
+
+/**
+ * Serialize posts as one Markdown document, each post followed by its reactions and comments
+ * @param {Object[]} posts - Posts from the API
+ * @returns {string} Markdown
+ */
+export function postsToMarkdown(posts) {
+    const sections = posts.map((post) => {
+        const details = [
+            `- Posted: ${post.created}`,
+            post.tags?.length ? `- Tags: ${post.tags.map(tag => `#${tag}`).join(' ')}` : '',
+            post.reactions?.length ? `- Reactions: ${describeReactions(post.reactions)}` : ''
+        ].filter(Boolean);
+
+        const comments = (post.comments || []).map(comment => (
+            `- **${comment.author?.name || comment.owner}** (${comment.created}): ${comment.body}`
+        ));
+
+        return [
+            `## ${post.title}`,
+            details.join('\n'),
+            post.media?.url ? `![${post.media.alt || ''}](${post.media.url})` : '',
+            post.body || '',
+            comments.length ? `### Comments\n\n${comments.join('\n')}` : ''
+        ].filter(Boolean).join('\n\n');
+    });
+
+    const header = `# Posts\n\nExported ${new Date().toISOString()}`;
+    return [header, ...sections].join('\n\n---\n\n') + '\n';
+}
+
+/**
+ * Let the browser download generated content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type (default: application/json)
+ *
+ * @example
+ * downloadFile('posts.json', postsToJSON(posts));
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // The download has started once click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * @param {Object} post - Post from the API
+ * @returns {Object} Post without counts and author
+ */
+function pickExportedFields(post) {
+    return Object.fromEntries(EXPORTED_FIELDS
+        .filter(field => post[field] !== undefined)
+        .map(field => [field, post[field]]));
+}
+
+/**
+ * @param {Object[]} reactions - Reactions shaped { symbol, count }
+ * @returns {string} Reactions like '👍 3 ❤️ 1'
+ */
+function describeReactions(reactions = []) {
+    return reactions.map(({ symbol, count }) => `${symbol} ${count}`).join(' ');
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCSVCell(value) {
+    let text = String(value ?? '');
+
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,116 @@
+/**
+ * Safe HTML rendering helpers
+ * Every template that ends up in innerHTML should be built with html``
+ */
+
+import { isValidHttpUrl } from './validation.js';
+
+const ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup that has already been escaped or is trusted
+ * @class SafeHTML
+ */
+export class SafeHTML {
+    /**
+     * @param {string} value - Trusted HTML string
+     */
+    constructor(value) {
+        this.value = value;
+    }
+
+    /**
+     * @returns {string} The HTML string
+     */
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPE_MAP[char]);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Nested html`` results and arrays of them are inserted as-is
+ * @returns {SafeHTML} Rendered markup
+ *
+ * @example
+ * element.innerHTML = html`<h5>${post.title}</h5>${tags.map(tag => html`<span>${tag}</span>`)}`;
+ */
+export function html(strings, ...values) {
+    const result = strings.reduce((output, string, index) => {
+        return output + string + (index < values.length ? renderValue(values[index]) : '');
+    }, '');
+
+    return new SafeHTML(result);
+}
+
+/**
+ * Mark a trusted string as HTML so html`` does not escape it
+ * Never pass user or server content to this function
+ * @param {string} value - Trusted HTML
+ * @returns {SafeHTML} Trusted markup
+ */
+export function unsafeHTML(value) {
+    return new SafeHTML(String(value));
+}
+
+/**
+ * Return a URL only if it is an absolute http(s) URL
+ * @param {string} url - URL from user or server content
+ * @param {string} fallback - Value returned for anything else
+ * @returns {string} The URL or the fallback
+ */
+export function safeUrl(url, fallback = '') {
+    return isValidHttpUrl(url) ? url : fallback;
+}
+
+/**
+ * Build an attribute list with escaped values
+ * null, undefined and false are left out, true renders a bare attribute
+ * @param {Object} attributes - Attribute names and values
+ * @returns {SafeHTML} Attribute markup with a leading space
+ *
+ * @example
+ * html`<img${attrs({ src: safeUrl(url), alt: name, hidden: !url })}>`;
+ */
+export function attrs(attributes) {
+    const result = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined && value !== false)
+        .map(([name, value]) => {
+            if (!/^[a-zA-Z][\w:-]*$/.test(name)) {
+                throw new Error(`Invalid attribute name: ${name}`);
+            }
+            return value === true ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`;
+        })
+        .join('');
+
+    return new SafeHTML(result);
+}
+
+/**
+ * Render one interpolated template value
+ * @param {*} value - Value to render
+ * @returns {string} HTML string
+ */
+function renderValue(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
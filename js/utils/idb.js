@@ -0,0 +1,148 @@
+/**
+ * Promise wrapper around the app's IndexedDB database
+ * Falls back to memory when IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+
+const DB_NAME = 'social-app';
+const DB_VERSION = 1;
+
+// Object stores in the database
+export const STORES = {
+    RESPONSES: 'responses',
+    OUTBOX: 'outbox'
+};
+
+let databasePromise = null;
+
+/**
+ * Open the database once, creating the object stores on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.RESPONSES)) {
+                    db.createObjectStore(STORES.RESPONSES);
+                }
+                if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                    db.createObjectStore(STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Turn an IDBRequest into a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * One object store of the app database
+ * Stores created with a key path assign keys themselves, the others take an explicit key
+ * @class IdbStore
+ *
+ * @example
+ * const outbox = new IdbStore(STORES.OUTBOX);
+ * const id = await outbox.put({ type: 'create', payload });
+ * const entries = await outbox.getAll();
+ */
+export class IdbStore {
+    /**
+     * @param {string} storeName - Object store name (see STORES)
+     */
+    constructor(storeName) {
+        this.storeName = storeName;
+        this.memory = new Map();
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Run one request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the IDBObjectStore and returns an IDBRequest
+     * @returns {Promise<*|undefined>} Request result, or undefined without IndexedDB
+     */
+    async run(mode, callback) {
+        const db = await openDatabase();
+        if (!db) return undefined;
+
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+        return promisify(callback(store));
+    }
+
+    /**
+     * @param {IDBValidKey} key - Record key
+     * @returns {Promise<*>} Stored value or undefined
+     */
+    async get(key) {
+        if (!(await openDatabase())) return this.memory.get(key);
+        return this.run('readonly', store => store.get(key));
+    }
+
+    /**
+     * Store a value
+     * @param {*} value - Value to store
+     * @param {IDBValidKey} key - Record key, left out for stores with a key path
+     * @returns {Promise<IDBValidKey>} Key of the stored record
+     */
+    async put(value, key) {
+        if (!(await openDatabase())) {
+            if (key === undefined) {
+                value.id ??= this.nextMemoryId++;
+                key = value.id;
+            }
+            this.memory.set(key, value);
+            return key;
+        }
+        return this.run('readwrite', store => key === undefined ? store.put(value) : store.put(value, key));
+    }
+
+    /**
+     * @param {IDBValidKey} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        if (!(await openDatabase())) {
+            this.memory.delete(key);
+            return;
+        }
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * @returns {Promise<Array>} Every stored value, in key order
+     */
+    async getAll() {
+        if (!(await openDatabase())) return [...this.memory.values()];
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * @returns {Promise<IDBValidKey[]>} Every key, in key order
+     */
+    async getAllKeys() {
+        if (!(await openDatabase())) return [...this.memory.keys()];
+        return this.run('readonly', store => store.getAllKeys());
+    }
+}
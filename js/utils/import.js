@@ -0,0 +1,99 @@
+/**
+ * Reading posts back from JSON exports (see export.js)
+ */
+
+import { isValidHttpUrl } from './validation.js';
+
+/**
+ * Parse a JSON export and check every post in it
+ * @param {string} text - File content
+ * @returns {Object[]} Items shaped { index, post, created, error }, post being data for
+ *     PostsService.createPost and created the original publishing date, if exported
+ * @throws {Error} Throws if the file is not a posts export
+ */
+export function parsePostsExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+
+    // Plain arrays of posts are accepted too
+    const posts = Array.isArray(data) ? data : data?.posts;
+    if (!Array.isArray(posts)) {
+        throw new Error('The file is not a posts export');
+    }
+
+    return posts.map((post, index) => ({ index, created: String(post?.created || ''), ...readPost(post) }));
+}
+
+/**
+ * Decide which items an import creates and which it skips
+ * Posts with the same title and content as an existing post, or as an
+ * earlier item in the file, are duplicates
+ * @param {Object[]} items - Parsed items (see parsePostsExport)
+ * @param {Object[]} existingPosts - Posts already published
+ * @returns {Object[]} Items with a status ('create', 'duplicate' or 'invalid') and a message
+ */
+export function planImport(items, existingPosts) {
+    const existing = new Set(existingPosts.map(getDuplicateKey));
+    const seen = new Set();
+
+    return items.map((item) => {
+        if (item.error) {
+            return { ...item, status: 'invalid', message: item.error };
+        }
+
+        const key = getDuplicateKey(item.post);
+        if (existing.has(key)) {
+            return { ...item, status: 'duplicate', message: 'Same title and content as one of your posts' };
+        }
+        if (seen.has(key)) {
+            return { ...item, status: 'duplicate', message: 'Appears earlier in the file' };
+        }
+
+        seen.add(key);
+        return { ...item, status: 'create', message: '' };
+    });
+}
+
+/**
+ * @param {Object} post - Post with title and body
+ * @returns {string} Title and content, ignoring case and whitespace differences
+ */
+function getDuplicateKey({ title = '', body = '' }) {
+    const normalize = text => (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${normalize(title)}\n${normalize(body)}`;
+}
+
+/**
+ * Check one exported post
+ * @param {*} post - Exported post
+ * @returns {Object} Shaped { post, error }, post being null when it is invalid
+ */
+function readPost(post) {
+    if (!post || typeof post !== 'object') {
+        return { post: null, error: 'Not a post' };
+    }
+
+    const { title, body = '', tags = [], media = null } = post;
+
+    if (typeof title !== 'string' || !title.trim()) {
+        return { post: null, error: 'Missing title' };
+    }
+    if (typeof body !== 'string') {
+        return { post: null, error: 'Content must be text' };
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return { post: null, error: 'Tags must be a list of text' };
+    }
+    if (media?.url && !isValidHttpUrl(media.url)) {
+        return { post: null, error: 'Media URL must be a valid http(s) URL' };
+    }
+
+    return {
+        post: { title, body, tags, media: media?.url ? { url: media.url, alt: media.alt || '' } : null },
+        error: null
+    };
+}
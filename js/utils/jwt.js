@@ -0,0 +1,47 @@
+/**
+ * Helpers for reading JSON Web Tokens on the client
+ * Tokens are decoded only, never verified; the API remains the authority
+ */
+
+/**
+ * Decode the payload of a JWT
+ * @param {string} token - JWT access token
+ * @returns {Object|null} Token payload, or null if it cannot be decoded
+ */
+export function decodeJwt(token) {
+    try {
+        const payload = token.split('.')[1];
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64.padEnd(base64.length + (4 - (base64.length % 4)) % 4, '=');
+        const json = decodeURIComponent(
+            atob(padded)
+                .split('')
+                .map(char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`)
+                .join('')
+        );
+        return JSON.parse(json);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - JWT access token
+ * @returns {number|null} Expiry as a timestamp in milliseconds, or null if the token has none
+ */
+export function getTokenExpiry(token) {
+    const payload = decodeJwt(token);
+    return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+/**
+ * Check whether a JWT has expired
+ * @param {string} token - JWT access token
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {boolean} True if the token has an expiry in the past
+ */
+export function isTokenExpired(token, now = Date.now()) {
+    const expiry = getTokenExpiry(token);
+    return expiry !== null && expiry <= now;
+}
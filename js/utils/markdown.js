@@ -0,0 +1,120 @@
+/**
+ * Safe renderer for the markdown subset used in posts:
+ * **bold**, *italics*, [links](https://...), - lists, 1. lists, `code` and ``` code blocks
+ * All text is escaped before any markup is added, and only http(s) links are kept
+ */
+
+import { escapeHTML, safeUrl, unsafeHTML } from './html.js';
+
+const FENCE = /^\s*```/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Render markdown text as HTML
+ * @param {string} text - Markdown from user or server content
+ * @returns {SafeHTML} Rendered markup
+ *
+ * @example
+ * element.innerHTML = html`<div class="markdown">${renderMarkdown(post.body)}</div>`;
+ */
+export function renderMarkdown(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (FENCE.test(line)) {
+            const code = [];
+            index++;
+            while (index < lines.length && !FENCE.test(lines[index])) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++;
+            blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+        } else if (BULLET_ITEM.test(line) || NUMBERED_ITEM.test(line)) {
+            const pattern = BULLET_ITEM.test(line) ? BULLET_ITEM : NUMBERED_ITEM;
+            const tag = pattern === BULLET_ITEM ? 'ul' : 'ol';
+            const items = [];
+            while (index < lines.length && pattern.test(lines[index])) {
+                items.push(`<li>${renderInline(lines[index].match(pattern)[1])}</li>`);
+                index++;
+            }
+            blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+        } else if (line.trim() === '') {
+            index++;
+        } else {
+            const paragraph = [];
+            while (index < lines.length && lines[index].trim() !== '' && !startsBlock(lines[index])) {
+                paragraph.push(renderInline(lines[index]));
+                index++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+    }
+
+    // Every piece of text above went through escapeHTML
+    return unsafeHTML(blocks.join(''));
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line - Markdown line
+ * @returns {boolean} True for code fences and list items
+ */
+function startsBlock(line) {
+    return FENCE.test(line) || BULLET_ITEM.test(line) || NUMBERED_ITEM.test(line);
+}
+
+/**
+ * Render inline code, links and emphasis in one line
+ * @param {string} text - Raw text
+ * @returns {string} Escaped HTML
+ */
+function renderInline(text) {
+    // Odd parts are code spans, which are shown literally
+    return text.split(/`([^`]+)`/).map((part, index) => {
+        return index % 2 === 1 ? `<code>${escapeHTML(part)}</code>` : renderLinks(part);
+    }).join('');
+}
+
+/**
+ * Render links, keeping the text of links whose URL is not http(s)
+ * @param {string} text - Raw text without code spans
+ * @returns {string} Escaped HTML
+ */
+function renderLinks(text) {
+    let output = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(LINK)) {
+        const [source, label, url] = match;
+        const href = safeUrl(url);
+
+        output += renderEmphasis(escapeHTML(text.slice(lastIndex, match.index)));
+        output += href
+            ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${renderEmphasis(escapeHTML(label))}</a>`
+            : renderEmphasis(escapeHTML(source));
+        lastIndex = match.index + source.length;
+    }
+
+    return output + renderEmphasis(escapeHTML(text.slice(lastIndex)));
+}
+
+/**
+ * Render bold and italics in already escaped text
+ * @param {string} escaped - Escaped text
+ * @returns {string} Escaped HTML
+ */
+function renderEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+        // Underscores inside words (snake_case) are not emphasis
+        .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+}
@@ -0,0 +1,65 @@
+/**
+ * Rendering and optimistic updates of post reactions
+ */
+
+import { attrs, html } from './html.js';
+
+// Reactions always offered in the reaction bar
+export const DEFAULT_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮'];
+
+/**
+ * Create the buttons of a post's reaction bar
+ * @param {Object[]} reactions - Reactions shaped { symbol, count, reactors }
+ * @param {string} userName - Name of the logged in user, whose reactions are shown as active
+ * @returns {SafeHTML} Buttons markup, safe to assign to innerHTML
+ *
+ * @example
+ * bar.innerHTML = createReactionBarHTML(post.reactions, 'alice');
+ */
+export function createReactionBarHTML(reactions = [], userName = '') {
+    const symbols = [...new Set([...DEFAULT_REACTIONS, ...reactions.map(reaction => reaction.symbol)])];
+
+    // One template for all buttons, since an array assigned to innerHTML is joined with commas
+    return html`${symbols.map((symbol) => {
+        const reaction = reactions.find(r => r.symbol === symbol);
+        const count = reaction?.count || 0;
+        const isActive = Boolean(userName && reaction?.reactors?.includes(userName));
+
+        return html`
+            <button type="button"${attrs({
+                class: `btn btn-sm reaction-btn${isActive ? ' active' : ''}`,
+                'data-symbol': symbol,
+                'aria-pressed': String(isActive)
+            })}>
+                ${symbol}${count > 0 ? html` <span class="reaction-count">${count}</span>` : ''}
+            </button>
+        `;
+    })}`;
+}
+
+/**
+ * Toggle a user's reaction in a reactions list without mutating it
+ * @param {Object[]} reactions - Reactions shaped { symbol, count, reactors }
+ * @param {string} symbol - Reaction emoji
+ * @param {string} userName - Name of the reacting user
+ * @returns {Object[]} Updated reactions
+ */
+export function toggleReaction(reactions, symbol, userName) {
+    const existing = reactions.find(reaction => reaction.symbol === symbol);
+
+    if (!existing) {
+        return [...reactions, { symbol, count: 1, reactors: [userName] }];
+    }
+
+    const reactors = existing.reactors || [];
+    const hasReacted = reactors.includes(userName);
+    const updated = {
+        ...existing,
+        count: existing.count + (hasReacted ? -1 : 1),
+        reactors: hasReacted ? reactors.filter(name => name !== userName) : [...reactors, userName]
+    };
+
+    return reactions
+        .map(reaction => (reaction === existing ? updated : reaction))
+        .filter(reaction => reaction.count > 0);
+}
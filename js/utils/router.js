@@ -0,0 +1,162 @@
+/**
+ * Hash based client-side router
+ * Routes look like #/posts/123 or #/feed?tag=news&q=hello
+ */
+
+// Key used to remember where to go after logging in
+const REDIRECT_KEY = 'redirectAfterLogin';
+
+/**
+ * Router mapping hash paths to handlers, with auth guards
+ * @class Router
+ *
+ * @example
+ * const router = new Router({ isAuthenticated: () => authService.isAuthenticated() });
+ * router.add('/posts/:id', ({ params }) => showPost(params.id), { requiresAuth: true });
+ * router.start();
+ */
+export class Router {
+    /**
+     * @param {Object} options - Router options
+     * @param {Function} options.isAuthenticated - Returns whether the user is logged in
+     * @param {string} options.loginPath - Where guarded routes send logged out users
+     * @param {string} options.defaultPath - Where unknown and guest-only routes go
+     */
+    constructor({ isAuthenticated = () => true, loginPath = '/login', defaultPath = '/feed' } = {}) {
+        this.isAuthenticated = isAuthenticated;
+        this.loginPath = loginPath;
+        this.defaultPath = defaultPath;
+        this.routes = [];
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path pattern, segments starting with : are parameters
+     * @param {Function} handler - Called with { params, query, path }
+     * @param {Object} options - Route options
+     * @param {boolean} options.requiresAuth - Send logged out users to the login route
+     * @param {boolean} options.guestOnly - Send logged in users to the default route
+     * @returns {Router} The router, for chaining
+     */
+    add(pattern, handler, { requiresAuth = false, guestOnly = false } = {}) {
+        const keys = [];
+        const regex = new RegExp(`^${pattern.replace(/:([^/]+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        })}/?$`);
+
+        this.routes.push({ regex, keys, handler, requiresAuth, guestOnly });
+        return this;
+    }
+
+    /**
+     * Start listening to hash changes and resolve the current hash
+     */
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Go to a path, adding a history entry unless replace is set
+     * @param {string} path - Path with optional query string (e.g. /feed?q=cats)
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry
+     */
+    navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+
+        if (window.location.hash === hash) {
+            this.resolve();
+        } else if (replace) {
+            history.replaceState(history.state, '', hash);
+            this.resolve();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Current path including the query string
+     * @returns {string} Path such as /feed?q=cats
+     */
+    getCurrentPath() {
+        return window.location.hash.slice(1) || '/';
+    }
+
+    /**
+     * Run the handler for the current hash, applying auth guards
+     */
+    resolve() {
+        const fullPath = this.getCurrentPath();
+        const [path, queryString = ''] = fullPath.split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (!match) continue;
+
+            if (route.requiresAuth && !this.isAuthenticated()) {
+                this.rememberRedirect(fullPath);
+                this.navigate(this.loginPath, { replace: true });
+                return;
+            }
+
+            if (route.guestOnly && this.isAuthenticated()) {
+                this.navigate(this.defaultPath, { replace: true });
+                return;
+            }
+
+            const params = {};
+            try {
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                });
+            } catch {
+                // Malformed escapes such as %E0 can't name anything, so they go where unknown paths go
+                break;
+            }
+
+            route.handler({ params, query, path: fullPath });
+            return;
+        }
+
+        this.navigate(this.defaultPath, { replace: true });
+    }
+
+    /**
+     * Remember a path to return to after logging in
+     * @param {string} path - Path with query string
+     */
+    rememberRedirect(path) {
+        sessionStorage.setItem(REDIRECT_KEY, path);
+    }
+
+    /**
+     * Take the remembered post-login path, if any
+     * @returns {string|null} Remembered path
+     */
+    consumeRedirect() {
+        const path = sessionStorage.getItem(REDIRECT_KEY);
+        sessionStorage.removeItem(REDIRECT_KEY);
+        return path;
+    }
+}
+
+/**
+ * Build a path with a query string, leaving out empty values
+ * @param {string} path - Base path
+ * @param {Object} query - Query parameters
+ * @returns {string} Path with query string
+ */
+export function buildPath(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.append(key, value);
+        }
+    });
+
+    const queryString = params.toString();
+    return queryString ? `${path}?${queryString}` : path;
+}
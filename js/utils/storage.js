@@ -0,0 +1,113 @@
+/**
+ * Key-value storage backends sharing the Web Storage interface
+ * (getItem, setItem, removeItem), so code can run against localStorage,
+ * sessionStorage or memory without knowing which
+ */
+
+/**
+ * In-memory storage, used in tests and when browser storage is unavailable
+ * @class MemoryStorage
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * @param {string} key - Item key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Browser storage wrapper that falls back to memory when storage is blocked
+ * (e.g. private browsing or disabled cookies)
+ * @class WebStorage
+ */
+export class WebStorage {
+    /**
+     * @param {Function} getStorage - Returns the browser Storage object to wrap
+     */
+    constructor(getStorage) {
+        try {
+            this.storage = getStorage();
+            const probe = '__storage_probe__';
+            this.storage.setItem(probe, probe);
+            this.storage.removeItem(probe);
+        } catch {
+            this.storage = new MemoryStorage();
+        }
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    /**
+     * @param {string} key - Item key
+     */
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * Read and parse a JSON item
+ * @param {Object} storage - Storage backend
+ * @param {string} key - Item key
+ * @param {*} fallback - Returned when the item is missing or invalid
+ * @returns {*} Parsed value or the fallback
+ */
+export function readJSON(storage, key, fallback = null) {
+    try {
+        return JSON.parse(storage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Serialize and store a JSON item
+ * @param {Object} storage - Storage backend
+ * @param {string} key - Item key
+ * @param {*} value - Value to store
+ */
+export function writeJSON(storage, key, value) {
+    storage.setItem(key, JSON.stringify(value));
+}
+
+// Persistent storage, kept after the browser is closed
+export const persistentStorage = new WebStorage(() => window.localStorage);
+
+// Session storage, cleared when the tab is closed
+export const sessionOnlyStorage = new WebStorage(() => window.sessionStorage);
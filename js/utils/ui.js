@@ -2,30 +2,53 @@
  * UI Utilities for managing user interface interactions
  */
 
+import { html, safeUrl } from './html.js';
+
 /**
  * Show alert message to user
- * @param {string} message - Alert message
+ * @param {string|SafeHTML} message - Alert message, escaped unless built with html``
  * @param {string} type - Alert type (success, danger, warning, info)
  * @param {number} duration - Duration in milliseconds (default: 5000)
+ * @param {Object} options - Alert options
+ * @param {Object[]} options.actions - Buttons shaped { label, onClick }; clicking one closes the alert
+ * @returns {Function} Function that closes the alert
+ *
+ * @example
+ * showAlert('Post deleted', 'info', 6000, { actions: [{ label: 'Undo', onClick: restorePost }] });
  */
-export function showAlert(message, type = 'info', duration = 5000) {
+export function showAlert(message, type = 'info', duration = 5000, { actions = [] } = {}) {
     const alertContainer = document.getElementById('alertContainer');
     
     const alertElement = document.createElement('div');
     alertElement.className = `alert alert-${type} alert-dismissible fade show`;
-    alertElement.innerHTML = `
+    alertElement.innerHTML = html`
         ${message}
+        ${actions.map((action, index) => html`
+            <button type="button" class="btn btn-sm btn-link alert-link alert-action" data-action-index="${index}">${action.label}</button>
+        `)}
         <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
     `;
     
-    alertContainer.appendChild(alertElement);
-    
-    // Auto-remove alert after duration
-    setTimeout(() => {
+    const close = () => {
         if (alertElement && alertElement.parentNode) {
             alertElement.remove();
         }
-    }, duration);
+    };
+    
+    alertElement.addEventListener('click', (e) => {
+        const btn = e.target.closest('.alert-action');
+        if (btn) {
+            close();
+            actions[btn.dataset.actionIndex].onClick();
+        }
+    });
+    
+    alertContainer.appendChild(alertElement);
+    
+    // Auto-remove alert after duration
+    setTimeout(close, duration);
+    
+    return close;
 }
 
 /**
@@ -50,20 +73,56 @@ export function togglePageVisibility(showAuth = true) {
     const mainPage = document.getElementById('mainPage');
     const authNav = document.getElementById('authNav');
     const logoutNav = document.getElementById('logoutNav');
+    const userNav = document.getElementById('userNav');
     
     if (showAuth) {
         authPage.classList.remove('d-none');
         mainPage.classList.add('d-none');
         authNav.classList.remove('d-none');
         logoutNav.classList.add('d-none');
+        userNav?.classList.add('d-none');
     } else {
         authPage.classList.add('d-none');
         mainPage.classList.remove('d-none');
         authNav.classList.add('d-none');
         logoutNav.classList.remove('d-none');
+        userNav?.classList.remove('d-none');
     }
 }
 
+/**
+ * Show one view of the main app and hide the others
+ * @param {string} viewId - ID of the .main-view element to show
+ */
+export function showMainView(viewId) {
+    document.querySelectorAll('#mainPage .main-view').forEach(view => {
+        view.classList.toggle('d-none', view.id !== viewId);
+    });
+    window.scrollTo(0, 0);
+}
+
+/**
+ * Show the logged in user's name and avatar in the navbar
+ * @param {Object|null} user - Current user data
+ */
+export function updateNavUser(user) {
+    const avatar = document.getElementById('navUserAvatar');
+    const name = document.getElementById('navUserName');
+    if (!avatar || !name) return;
+    
+    avatar.src = safeUrl(user?.avatar?.url, 'https://via.placeholder.com/28');
+    avatar.alt = user?.avatar?.alt || '';
+    name.textContent = user?.name || '';
+}
+
+/**
+ * Show or hide the navbar badge telling the user they are offline
+ * @param {boolean} isOffline - Whether the browser is offline
+ */
+export function toggleOfflineBadge(isOffline) {
+    document.getElementById('offlineBadge')?.classList.toggle('d-none', !isOffline);
+}
+
 /**
  * Toggle between login and register forms
  * @param {boolean} showLogin - Whether to show login form or register form
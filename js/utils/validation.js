@@ -0,0 +1,92 @@
+/**
+ * Validation helpers shared by forms and services
+ */
+
+// Maximum bio length accepted by the API
+export const BIO_MAX_LENGTH = 160;
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value - URL to check
+ * @returns {boolean} True if the URL is valid
+ */
+export function isValidHttpUrl(value) {
+    if (!value) return false;
+
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check that a bio fits within the API limit
+ * @param {string} bio - Bio text
+ * @returns {boolean} True if the bio is valid
+ */
+export function isValidBio(bio = '') {
+    return bio.length <= BIO_MAX_LENGTH;
+}
+
+// How long checkImageUrl waits for the media host
+const IMAGE_CHECK_TIMEOUT_MS = 8000;
+
+/**
+ * Check that a URL serves an image
+ * The content type is read with a HEAD request; hosts that don't allow
+ * cross-origin requests are checked by loading the URL as an image instead
+ * @param {string} url - Media URL
+ * @param {Object} options - Check options
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Promise<{valid: boolean, message: string}>} Result with a message for invalid URLs
+ */
+export async function checkImageUrl(url, { timeoutMs = IMAGE_CHECK_TIMEOUT_MS } = {}) {
+    if (!isValidHttpUrl(url)) {
+        return { valid: false, message: 'Must be a valid http(s) URL' };
+    }
+
+    let response;
+    try {
+        response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(timeoutMs) });
+    } catch {
+        // Blocked by CORS or the host doesn't answer HEAD requests
+        return loadImage(url, timeoutMs);
+    }
+
+    const contentType = response.headers.get('Content-Type');
+    if (!response.ok || !contentType) {
+        return loadImage(url, timeoutMs);
+    }
+
+    return contentType.startsWith('image/')
+        ? { valid: true, message: '' }
+        : { valid: false, message: `URL is not an image (${contentType.split(';')[0]})` };
+}
+
+/**
+ * Check that a URL loads as an image
+ * @param {string} url - Image URL
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<{valid: boolean, message: string}>} Result with a message for invalid URLs
+ */
+function loadImage(url, timeoutMs) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        const timer = setTimeout(() => {
+            image.src = '';
+            resolve({ valid: false, message: 'Image took too long to load' });
+        }, timeoutMs);
+
+        image.onload = () => {
+            clearTimeout(timer);
+            resolve({ valid: true, message: '' });
+        };
+        image.onerror = () => {
+            clearTimeout(timer);
+            resolve({ valid: false, message: 'Image could not be loaded' });
+        };
+        image.src = url;
+    });
+}
@@ -0,0 +1,103 @@
+/**
+ * Service worker keeping the app shell available offline
+ * Pages, scripts, styles and CDN assets are fetched from the network first
+ * and served from the cache when that fails. API data is cached by the app itself.
+ */
+
+const CACHE_NAME = 'social-app-shell-v2';
+
+// Cached on install so the app can start offline after the first visit.
+// Everything the first page load needs is listed, since it loads before this worker
+// controls the page and never reaches the runtime cache: every module main.js imports
+// and the CDN styles, scripts and fonts
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './css/styles.css',
+    './js/main.js',
+    './js/api/accounts.js',
+    './js/api/auth.js',
+    './js/api/config.js',
+    './js/api/deletes.js',
+    './js/api/http.js',
+    './js/api/offline.js',
+    './js/api/posts.js',
+    './js/api/profiles.js',
+    './js/api/session.js',
+    './js/utils/cache.js',
+    './js/utils/drafts.js',
+    './js/utils/export.js',
+    './js/utils/html.js',
+    './js/utils/idb.js',
+    './js/utils/import.js',
+    './js/utils/jwt.js',
+    './js/utils/markdown.js',
+    './js/utils/reactions.js',
+    './js/utils/router.js',
+    './js/utils/storage.js',
+    './js/utils/ui.js',
+    './js/utils/validation.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2'
+];
+
+// Hosts whose responses may be cached besides our own
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname);
+
+    if (request.method !== 'GET' || !isShell) return;
+
+    event.respondWith(networkFirst(request));
+});
+
+/**
+ * Fetch a request and cache the response, falling back to the cache offline
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        // Deep links all load the same page
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('./index.html');
+            if (shell) return shell;
+        }
+
+        throw error;
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Pending deletes shared by several tabs through one storage
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PendingDeletes } from '../js/api/deletes.js';
+import { MemoryStorage } from '../js/utils/storage.js';
+
+const DELAY_MS = 1000;
+
+/**
+ * Create a tab's pending deletes, recording what it sends
+ * @param {MemoryStorage} storage - Storage shared by the tabs
+ * @returns {Object} { deletes, sent } where sent lists the post IDs of each send
+ */
+function openTab(storage) {
+    const sent = [];
+    const deletes = new PendingDeletes({
+        send: async (entries) => { sent.push(entries.map(entry => entry.postId)); },
+        accounts: { getActiveName: () => 'alice' },
+        storage,
+        delayMs: DELAY_MS
+    });
+    return { deletes, sent };
+}
+
+/**
+ * Let the timers due by then run, and the sends they start settle
+ * @param {number} ms - Time to move forward
+ */
+async function tick(ms) {
+    mock.timers.tick(ms);
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+describe('PendingDeletes', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('sends the posts of one window together after it runs out', async () => {
+        const { deletes, sent } = openTab(new MemoryStorage());
+
+        deletes.schedule([{ postId: 1 }, { postId: 2 }]);
+        assert.ok(deletes.has(1));
+
+        await tick(DELAY_MS);
+        assert.deepEqual(sent, [['1', '2']]);
+        assert.equal(deletes.has(1), false);
+    });
+
+    it('sends nothing for posts whose delete was undone', async () => {
+        const { deletes, sent } = openTab(new MemoryStorage());
+
+        deletes.schedule([{ postId: 1 }, { postId: 2 }]);
+        assert.equal(deletes.cancel([1]), true);
+
+        await tick(DELAY_MS);
+        assert.deepEqual(sent, [['2']]);
+        assert.equal(deletes.cancel([2]), false);
+    });
+
+    it('keeps the deletes another tab stored', async () => {
+        const storage = new MemoryStorage();
+        const first = openTab(storage);
+        const second = openTab(storage);
+
+        first.deletes.schedule([{ postId: 1 }]);
+        second.deletes.schedule([{ postId: 2 }]);
+        first.deletes.resume();
+
+        await tick(DELAY_MS);
+        assert.deepEqual(first.sent, [['1']]);
+        assert.deepEqual(second.sent, [['2']]);
+    });
+
+    it('sends a window only once when another tab resumes while it is open', async () => {
+        const storage = new MemoryStorage();
+        const first = openTab(storage);
+        const second = openTab(storage);
+
+        first.deletes.schedule([{ postId: 1 }]);
+        second.deletes.resume();
+
+        await tick(DELAY_MS * 20);
+        assert.deepEqual(first.sent, [['1']]);
+        assert.deepEqual(second.sent, []);
+    });
+
+    it('sends the deletes of a tab closed before they settled', async () => {
+        const storage = new MemoryStorage();
+        storage.setItem('pendingDeletes', JSON.stringify([
+            { postId: '1', title: '', account: 'alice', deleteAt: Date.now() - DELAY_MS },
+            { postId: '2', title: '', account: 'bob', deleteAt: Date.now() - DELAY_MS }
+        ]));
+
+        const reopened = openTab(storage);
+        reopened.deletes.resume();
+
+        await tick(DELAY_MS * 20);
+        assert.deepEqual(reopened.sent, [['1']]);
+    });
+
+    it('leaves adopted windows to their tab when flushing', async () => {
+        const storage = new MemoryStorage();
+        const first = openTab(storage);
+        const second = openTab(storage);
+
+        first.deletes.schedule([{ postId: 1 }]);
+        second.deletes.resume();
+        await second.deletes.flush();
+        assert.deepEqual(second.sent, []);
+
+        assert.equal(first.deletes.cancel([1]), true);
+        await tick(DELAY_MS * 20);
+        assert.deepEqual(first.sent, []);
+    });
+});
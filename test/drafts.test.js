@@ -0,0 +1,27 @@
+/**
+ * Drafts are kept only as long as the account they belong to
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DraftStore } from '../js/utils/drafts.js';
+import { MemoryStorage } from '../js/utils/storage.js';
+
+describe('DraftStore', () => {
+    it('keeps drafts of session-only users out of persistent storage', () => {
+        const persistent = new MemoryStorage();
+        const session = new MemoryStorage();
+        const drafts = new DraftStore({ persistent, session, isRemembered: name => name === 'alice' });
+
+        drafts.save('alice', 'new', { title: 'Remembered' });
+        drafts.save('bob', 'new', { title: 'Session only' });
+
+        assert.equal(drafts.get('alice', 'new').title, 'Remembered');
+        assert.equal(drafts.get('bob', 'new').title, 'Session only');
+        assert.doesNotMatch(persistent.getItem('postDrafts'), /bob/);
+        assert.doesNotMatch(session.getItem('postDrafts'), /alice/);
+
+        drafts.remove('bob', 'new');
+        assert.equal(drafts.get('bob', 'new'), null);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * XSS payloads against the safe rendering helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { attrs, escapeHTML, html, safeUrl, unsafeHTML } from '../js/utils/html.js';
+
+const IMG_ONERROR = '<img src=x onerror=alert(1)>';
+const SCRIPT_BREAKOUT = '"><script>alert(1)</script>';
+const ATTRIBUTE_BREAKOUT = `' onmouseover='alert(1)' x="\` onfocus=\`alert(1)\``;
+
+describe('escapeHTML', () => {
+    it('escapes tags so they render as text', () => {
+        assert.equal(escapeHTML(IMG_ONERROR), '&lt;img src=x onerror=alert(1)&gt;');
+    });
+
+    it('escapes quotes and backticks used to leave an attribute', () => {
+        const escaped = escapeHTML(ATTRIBUTE_BREAKOUT);
+        assert.doesNotMatch(escaped, /["'`<>]/);
+        assert.match(escaped, /&#39;/);
+        assert.match(escaped, /&quot;/);
+        assert.match(escaped, /&#96;/);
+    });
+
+    it('escapes ampersands first so entities are not decoded', () => {
+        assert.equal(escapeHTML('&lt;script&gt;'), '&amp;lt;script&amp;gt;');
+    });
+
+    it('renders null and undefined as empty text', () => {
+        assert.equal(escapeHTML(null), '');
+        assert.equal(escapeHTML(undefined), '');
+    });
+});
+
+describe('html', () => {
+    it('escapes interpolated content', () => {
+        const output = String(html`<p>${IMG_ONERROR}</p>`);
+        assert.equal(output, '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    });
+
+    it('keeps interpolated values inside a quoted attribute', () => {
+        const output = String(html`<img alt="${SCRIPT_BREAKOUT}">`);
+        assert.equal(output, '<img alt="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">');
+    });
+
+    it('escapes every item of an interpolated array', () => {
+        const output = String(html`<ul>${[IMG_ONERROR, SCRIPT_BREAKOUT].map(item => html`<li>${item}</li>`)}</ul>`);
+        assert.doesNotMatch(output, /<img|<script/);
+        assert.equal(output.match(/<li>/g).length, 2);
+    });
+
+    it('inserts nested templates and unsafeHTML as they are', () => {
+        assert.equal(String(html`<div>${html`<b>${'<i>'}</b>`}</div>`), '<div><b>&lt;i&gt;</b></div>');
+        assert.equal(String(html`${unsafeHTML('<br>')}`), '<br>');
+    });
+
+    it('leaves out null, undefined and false', () => {
+        assert.equal(String(html`<p>${null}${undefined}${false}</p>`), '<p></p>');
+    });
+});
+
+describe('attrs', () => {
+    it('escapes attribute values', () => {
+        const output = String(attrs({ title: ATTRIBUTE_BREAKOUT }));
+        assert.match(output, /^ title="[^"'`<>]*"$/);
+    });
+
+    it('rejects attribute names that could inject markup', () => {
+        assert.throws(() => attrs({ 'onclick=alert(1) x': 'y' }), /Invalid attribute name/);
+        assert.throws(() => attrs({ '"><script>': 'y' }), /Invalid attribute name/);
+    });
+
+    it('renders true as a bare attribute and leaves out false', () => {
+        assert.equal(String(attrs({ checked: true, disabled: false, hidden: null })), ' checked');
+    });
+});
+
+describe('safeUrl', () => {
+    it('keeps http and https URLs', () => {
+        assert.equal(safeUrl('https://example.com/a.png'), 'https://example.com/a.png');
+        assert.equal(safeUrl('http://example.com'), 'http://example.com');
+    });
+
+    it('rejects script and data URLs', () => {
+        for (const url of [
+            'javascript:alert(1)',
+            'JaVaScRiPt:alert(1)',
+            ' javascript:alert(1)',
+            'java\tscript:alert(1)',
+            'data:text/html,<script>alert(1)</script>',
+            'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=',
+            'vbscript:msgbox(1)'
+        ]) {
+            assert.equal(safeUrl(url), '', url);
+        }
+    });
+
+    it('rejects relative and malformed URLs', () => {
+        assert.equal(safeUrl('//evil.example'), '');
+        assert.equal(safeUrl('not a url'), '');
+        assert.equal(safeUrl(''), '');
+        assert.equal(safeUrl(undefined), '');
+    });
+
+    it('returns the fallback for rejected URLs', () => {
+        assert.equal(safeUrl('javascript:alert(1)', 'https://via.placeholder.com/40'), 'https://via.placeholder.com/40');
+    });
+});
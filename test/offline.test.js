@@ -0,0 +1,45 @@
+/**
+ * Offline copies of API responses are saved only for remembered accounts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OfflineCache } from '../js/api/offline.js';
+
+/**
+ * Create an offline cache for one active account, recording what it saves
+ * @param {boolean} isRemembered - Whether the account logged in with "Remember me"
+ * @returns {Object} { cache, saved }
+ */
+function createCache(isRemembered) {
+    const saved = [];
+    const cache = new OfflineCache({
+        client: { interceptors: { response: { use() {} } } },
+        accounts: { getActiveName: () => 'alice', isRemembered: () => isRemembered },
+        store: {
+            put: async (entry, key) => { saved.push(key); },
+            get: async () => undefined,
+            getAll: async () => []
+        }
+    });
+    return { cache, saved };
+}
+
+const CONFIG = { method: 'GET', url: 'https://api/social/posts', headers: { Authorization: 'Bearer token' } };
+const RESULT = { ok: true, status: 200, data: { data: [] } };
+
+describe('OfflineCache', () => {
+    it('saves responses of remembered accounts', async () => {
+        const { cache, saved } = createCache(true);
+        assert.equal(await cache.handleResponse(RESULT, CONFIG), RESULT);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(saved, ['alice https://api/social/posts']);
+    });
+
+    it('saves nothing for session-only accounts', async () => {
+        const { cache, saved } = createCache(false);
+        assert.equal(await cache.handleResponse(RESULT, CONFIG), RESULT);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(saved, []);
+    });
+});
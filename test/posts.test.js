@@ -0,0 +1,37 @@
+/**
+ * Cached and fresh reads of single posts
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PostsService } from '../js/api/posts.js';
+import { RequestCache } from '../js/utils/cache.js';
+
+describe('PostsService.getPostById', () => {
+    let postsService;
+
+    beforeEach(() => {
+        const cache = new RequestCache();
+        cache.set('post:42', { data: { id: 42, title: 'Cached' } }, { type: 'post', postId: '42' });
+        postsService = new PostsService({ cache });
+
+        mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ data: { id: 42, title: 'Current' } })));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('serves the cached copy by default', async () => {
+        const response = await postsService.getPostById(42);
+
+        assert.equal(response.data.title, 'Cached');
+        assert.equal(globalThis.fetch.mock.callCount(), 0);
+    });
+
+    it('asks the API when a fresh copy is wanted, and caches it', async () => {
+        const response = await postsService.getPostById(42, { fresh: true });
+
+        assert.equal(response.data.title, 'Current');
+        assert.equal(globalThis.fetch.mock.callCount(), 1);
+        assert.equal((await postsService.getPostById(42)).data.title, 'Current');
+    });
+});
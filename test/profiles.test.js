@@ -0,0 +1,25 @@
+/**
+ * Follow and unfollow are sent once, since a retry of an applied one fails
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProfilesService } from '../js/api/profiles.js';
+
+describe('ProfilesService follow and unfollow', () => {
+    beforeEach(() => {
+        mock.method(globalThis, 'fetch', async () => new Response(
+            JSON.stringify({ errors: [{ message: 'Service unavailable' }] }),
+            { status: 503 }
+        ));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    for (const method of ['follow', 'unfollow']) {
+        it(`does not retry ${method} after a server error`, async () => {
+            await assert.rejects(new ProfilesService()[method]('alice'), { status: 503 });
+            assert.equal(globalThis.fetch.mock.callCount(), 1);
+        });
+    }
+});
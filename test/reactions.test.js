@@ -0,0 +1,51 @@
+/**
+ * Reaction bar rendering and optimistic reaction toggles
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SafeHTML } from '../js/utils/html.js';
+import { DEFAULT_REACTIONS, createReactionBarHTML, toggleReaction } from '../js/utils/reactions.js';
+
+describe('createReactionBarHTML', () => {
+    it('returns one SafeHTML that renders without separators between buttons', () => {
+        const bar = createReactionBarHTML([]);
+        assert.ok(bar instanceof SafeHTML);
+
+        // Assigning to innerHTML converts the value to a string
+        const output = `${bar}`;
+        assert.doesNotMatch(output, /<\/button>\s*,/);
+        assert.equal(output.match(/<button/g).length, DEFAULT_REACTIONS.length);
+    });
+
+    it('adds reactions outside the defaults and shows counts', () => {
+        const output = String(createReactionBarHTML([{ symbol: '🚀', count: 2, reactors: ['bob', 'carol'] }]));
+        assert.match(output, /data-symbol="🚀"/);
+        assert.match(output, /<span class="reaction-count">2<\/span>/);
+    });
+
+    it('marks the reactions of the logged in user as active', () => {
+        const reactions = [{ symbol: '👍', count: 1, reactors: ['alice'] }];
+        assert.match(String(createReactionBarHTML(reactions, 'alice')), /reaction-btn active/);
+        assert.doesNotMatch(String(createReactionBarHTML(reactions, 'bob')), /reaction-btn active/);
+    });
+
+    it('escapes symbols from the server', () => {
+        const output = String(createReactionBarHTML([{ symbol: '"><img src=x onerror=alert(1)>', count: 1 }]));
+        assert.doesNotMatch(output, /<img/);
+    });
+});
+
+describe('toggleReaction', () => {
+    it('adds, repeats and removes a reaction without mutating the list', () => {
+        const reactions = [{ symbol: '👍', count: 1, reactors: ['bob'] }];
+
+        const added = toggleReaction(reactions, '👍', 'alice');
+        assert.deepEqual(added, [{ symbol: '👍', count: 2, reactors: ['bob', 'alice'] }]);
+        assert.deepEqual(reactions, [{ symbol: '👍', count: 1, reactors: ['bob'] }]);
+
+        assert.deepEqual(toggleReaction(added, '👍', 'alice'), reactions);
+        assert.deepEqual(toggleReaction(reactions, '👍', 'bob'), []);
+        assert.deepEqual(toggleReaction([], '🎉', 'alice'), [{ symbol: '🎉', count: 1, reactors: ['alice'] }]);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * The service worker precache must hold everything the app needs to start offline
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+const read = path => readFileSync(new URL(path, root), 'utf8');
+
+const precacheBlock = read('sw.js').match(/const PRECACHE_URLS = \[([\s\S]*?)\];/)[1];
+const precached = new Set([...precacheBlock.matchAll(/'([^']+)'/g)].map(([, url]) => url));
+
+describe('service worker precache', () => {
+    it('lists every module of the app', () => {
+        const modules = ['js', 'js/api', 'js/utils'].flatMap(dir => readdirSync(new URL(dir, root))
+            .filter(file => file.endsWith('.js'))
+            .map(file => `./${dir}/${file}`));
+
+        modules.forEach(module => assert.ok(precached.has(module), `${module} is not precached`));
+    });
+
+    it('lists every CDN stylesheet and script index.html loads', () => {
+        const assets = [...read('index.html').matchAll(/<(?:link|script)\b[^>]*(?:href|src)="(https:\/\/[^"]+)"/g)].map(([, url]) => url);
+
+        assert.ok(assets.length > 0);
+        assets.forEach(asset => assert.ok(precached.has(asset), `${asset} is not precached`));
+    });
+});